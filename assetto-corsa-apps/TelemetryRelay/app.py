@@ -9,10 +9,16 @@ APP_NAME = "TelemetryRelay"
 UDP_HOST = "127.0.0.1"
 UDP_PORT = 41234
 SEND_INTERVAL = 0.1
+# Unique per rig so the map can tell cars apart; defaults to the PC hostname
+RIG_ID = ""
 
 _sock = socket.socket(socket.AF_INET, socket.SOCK_DGRAM)
 _last_send = 0.0
 _label = None
+# Cut-track flag for the lap in progress, latched until the lap completes
+_lap_count = -1
+_lap_invalid = False
+_last_lap_invalid = False
 
 
 def _format_lap_time(seconds):
@@ -44,6 +50,23 @@ def _get_car_name():
         return ""
 
 
+def _get_last_splits():
+    # Sector times of the last completed lap, in ms
+    try:
+        return [int(v) for v in ac.getLastSplits(0) if v]
+    except Exception:
+        return []
+
+
+def _get_rig_id():
+    if RIG_ID:
+        return RIG_ID
+    try:
+        return socket.gethostname()
+    except Exception:
+        return ""
+
+
 def acMain(ac_version):
     global _label
     app = ac.newApp(APP_NAME)
@@ -56,6 +79,21 @@ def acMain(ac_version):
     return APP_NAME
 
 
+def _track_lap_validity(lap):
+    global _lap_count, _lap_invalid, _last_lap_invalid
+    try:
+        invalid = bool(ac.getCarState(0, acsys.CS.LapInvalidated))
+    except Exception:
+        invalid = False
+    if lap != _lap_count:
+        if _lap_count >= 0:
+            _last_lap_invalid = _lap_invalid
+        _lap_count = lap
+        _lap_invalid = invalid
+    elif invalid:
+        _lap_invalid = True
+
+
 def acUpdate(delta_t):
     global _last_send
     now = time.time()
@@ -72,13 +110,18 @@ def acUpdate(delta_t):
         pos = ac.getCarState(0, acsys.CS.WorldPosition)
         x = pos[0] if len(pos) > 0 else 0
         y = pos[2] if len(pos) > 2 else 0
+        _track_lap_validity(int(lap or 0))
 
         payload = {
+            "rig": _get_rig_id(),
             "track": _get_track_name().lower(),
             "driver": _get_driver_name(),
             "car": _get_car_name(),
             "lap": int(lap) if lap is not None else 0,
-            "lastLap": _format_lap_time(last_lap),
+            "lastLap": _format_lap_time((last_lap or 0) / 1000.0),  # AC reports ms
+            "lapInvalid": _lap_invalid,
+            "lastLapInvalid": _last_lap_invalid,
+            "lastSplits": _get_last_splits(),
             "delta": "",
             "speed": int(speed) if speed is not None else 0,
             "throttle": int((throttle or 0) * 100),
@@ -6,6 +6,9 @@ import { Server } from "socket.io";
 import path from "path";
 import { fileURLToPath } from "url";
 import fs from "fs";
+import dgram from "dgram";
+import zlib from "zlib";
+import crypto from "crypto";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -20,110 +23,338 @@ app.get("/admin", (req, res) => res.sendFile(path.join(__dirname, "public", "adm
 app.get("/fullscreen", (req, res) => res.sendFile(path.join(__dirname, "public", "fullscreen.html")));
 // Serve the rig UI at /rig for convenience (also available as /rig.html)
 app.get("/rig", (req, res) => res.sendFile(path.join(__dirname, "public", "rig.html")));
+app.get("/map", (req, res) => res.sendFile(path.join(__dirname, "public", "map.html")));
+app.get("/pitwall", (req, res) => res.sendFile(path.join(__dirname, "public", "pitwall.html")));
+app.get("/driver/:id", (req, res) => res.sendFile(path.join(__dirname, "public", "driver.html")));
+app.get("/bracket", (req, res) => res.sendFile(path.join(__dirname, "public", "bracket.html")));
+app.get("/print", (req, res) => res.sendFile(path.join(__dirname, "public", "print.html")));
+app.get("/join", (req, res) => res.sendFile(path.join(__dirname, "public", "join.html")));
+app.get("/overlay", (req, res) => res.sendFile(path.join(__dirname, "public", "overlay.html")));
+app.get(["/screen", "/screen/:id"], (req, res) => res.sendFile(path.join(__dirname, "public", "screen.html")));
 
 const DATA_FILE = path.join(__dirname, "scores.json");        // clean leaderboard rows
 const ATTEMPTS_FILE = path.join(__dirname, "attempts.json");  // full history
 const SETTINGS_FILE = path.join(__dirname, "settings.json");
-const RATINGS_FILE = path.join(__dirname, "ratings.json");    // ELO-lite ratings
-
-const ADMIN_PIN = process.env.ADMIN_PIN || "1234";
+const RATINGS_FILE = path.join(__dirname, "ratings.json");    // Elo ratings + history
+const TRACES_DIR = path.join(__dirname, "traces");             // recorded lap telemetry
+const TRACE_INDEX_FILE = path.join(TRACES_DIR, "index.json");
+
+const USERS_FILE = path.join(__dirname, "users.json");        // staff accounts (hashed passwords)
+const DRIVERS_FILE = path.join(__dirname, "drivers.json");    // driver registry (stable ids + aliases)
+const CATALOGUE_FILE = path.join(__dirname, "catalogue.json"); // games, tracks (+ maps) and cars
+const TOURNAMENTS_FILE = path.join(__dirname, "tournaments.json"); // qualifying, brackets and heat results
+const RIGS_FILE = path.join(__dirname, "rigs.json");            // rig registry (ids, names, hashed keys)
+const QUEUE_FILE = path.join(__dirname, "queue.json");          // driver queue for the rigs
+const SCREENS_FILE = path.join(__dirname, "screens.json");      // named TV screens and their playlist
+const PLAYLISTS_FILE = path.join(__dirname, "playlists.json");  // signage playlists (scenes + durations)
+const PENDING_FILE = path.join(__dirname, "pending.json");      // laps held for moderation
+
+// Password for the "admin" account created on first start (ADMIN_PIN still works for older setups)
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || process.env.ADMIN_PIN || "1234";
+const TELEMETRY_UDP_PORT = Number(process.env.TELEMETRY_UDP_PORT ?? 41234); // 0 disables ingest
 
 // -------------------- Persistence --------------------
+// Data goes through a storage backend chosen with STORAGE:
+//  - "json" (default): the *.json files next to server.js. Writes are debounced,
+//    go to a temp file that is renamed over the original, and keep the previous
+//    version as <file>.bak.
+//  - "sqlite": a single database file (SQLITE_FILE) via the optional
+//    better-sqlite3 package. Empty tables are filled from the JSON files on first start.
+const STORAGE_BACKEND = String(process.env.STORAGE || "json").toLowerCase();
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(__dirname, "leaderboard.db");
+const SAVE_DEBOUNCE_MS = 250;
+
 function loadJson(file, fallback) {
-  try {
-    if (fs.existsSync(file)) {
-      const raw = fs.readFileSync(file, "utf-8");
-      return JSON.parse(raw);
+  for (const f of [file, `${file}.bak`]) {
+    try {
+      if (!fs.existsSync(f)) continue;
+      const data = JSON.parse(fs.readFileSync(f, "utf-8"));
+      if (f !== file) console.error(`Load failed: ${file} is unreadable, recovered from ${f}`);
+      return data;
+    } catch (e) {
+      console.error("Load failed:", f, e.message);
     }
-  } catch (e) {
-    console.error("Load failed:", file, e);
+  }
+  if (fs.existsSync(file)) {
+    // Keep the broken file for inspection rather than overwriting it on the next save
+    const aside = `${file}.corrupt-${Date.now()}`;
+    try {
+      fs.renameSync(file, aside);
+      console.error(`Moved unreadable ${file} to ${aside}`);
+    } catch {}
   }
   return fallback;
 }
-function saveJson(file, data) {
+
+function writeJsonAtomic(file, data) {
+  const tmp = `${file}.tmp`;
   try {
-    fs.writeFileSync(file, JSON.stringify(data, null, 2), "utf-8");
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2), "utf-8");
+    if (fs.existsSync(file)) fs.copyFileSync(file, `${file}.bak`);
+    fs.renameSync(tmp, file);
   } catch (e) {
     console.error("Save failed:", file, e);
   }
 }
-function saveScores() { saveJson(DATA_FILE, scores); }
-function saveAttempts() { saveJson(ATTEMPTS_FILE, attempts); }
-function saveSettings() { saveJson(SETTINGS_FILE, settings); }
-function saveRatings() { saveJson(RATINGS_FILE, ratings); }
 
-function isAdmin(pin) { return String(pin || "") === String(ADMIN_PIN); }
-function makeId() {
-  return (globalThis.crypto?.randomUUID?.() ?? `${Date.now()}-${Math.random().toString(16).slice(2)}`);
-}
+// Last write wins: bursts (demo mode, bulk imports) become one write per file
+const pendingJsonWrites = new Map(); // file -> { timer, data }
 
-// -------------------- Rating System (ELO-lite) --------------------
-function getRatingKey(game, track, first, last) {
-  return `${String(game).trim()}|${String(track).trim().toLowerCase()}|${String(first).trim().toLowerCase()}|${String(last).trim().toLowerCase()}`;
+function saveJson(file, data) {
+  clearTimeout(pendingJsonWrites.get(file)?.timer);
+  const timer = setTimeout(() => {
+    pendingJsonWrites.delete(file);
+    writeJsonAtomic(file, data);
+  }, SAVE_DEBOUNCE_MS);
+  pendingJsonWrites.set(file, { timer, data });
 }
 
-function getDriverRating(game, track, first, last) {
-  const key = getRatingKey(game, track, first, last);
-  if (!ratings[key]) {
-    ratings[key] = {
-      rating: 1000,
-      lastChange: 0,
-      updatedAt: new Date().toISOString()
-    };
+function flushJson() {
+  for (const [file, { timer, data }] of pendingJsonWrites) {
+    clearTimeout(timer);
+    writeJsonAtomic(file, data);
   }
-  return ratings[key];
+  pendingJsonWrites.clear();
 }
 
-function getFieldMedianTime(game, track) {
-  const times = scores
-    .filter(s => s.game === game && s.track.toLowerCase() === track.toLowerCase())
-    .map(s => timeToMs(s.time))
-    .filter(t => t !== Infinity && t > 0)
-    .sort((a, b) => a - b);
-  
-  if (times.length === 0) return Infinity;
-  const mid = Math.floor(times.length / 2);
-  return times.length % 2 === 0 ? (times[mid - 1] + times[mid]) / 2 : times[mid];
+const STORE_FILES = { scores: DATA_FILE, attempts: ATTEMPTS_FILE, settings: SETTINGS_FILE, ratings: RATINGS_FILE, users: USERS_FILE, drivers: DRIVERS_FILE, catalogue: CATALOGUE_FILE, tournaments: TOURNAMENTS_FILE, rigs: RIGS_FILE, queue: QUEUE_FILE, screens: SCREENS_FILE, playlists: PLAYLISTS_FILE, pending: PENDING_FILE };
+
+function createJsonStorage() {
+  return {
+    name: "json",
+    load: (name, fallback) => loadJson(STORE_FILES[name], fallback),
+    save: (name, data) => saveJson(STORE_FILES[name], data),
+    flush: flushJson
+  };
 }
 
-function calculateRatingDelta(oldPBMs, newPBMs, newTime, medianMs) {
-  let delta = 0;
+// One table per collection, one row per record. Saves diff against what was
+// last written, so appending an attempt touches one row instead of the whole history.
+// Rows keep their array position in `pos`, so reordering (the driver queue) survives
+// a restart; tables from before that column load in rowid order until the next save.
+async function createSqliteStorage() {
+  let Database;
+  try {
+    ({ default: Database } = await import("better-sqlite3"));
+  } catch {
+    console.error("STORAGE=sqlite needs the better-sqlite3 package: npm install better-sqlite3");
+    process.exit(1);
+  }
+
+  const db = new Database(SQLITE_FILE);
+  db.pragma("journal_mode = WAL");
+
+  // How each collection maps onto rows: array keyed by a field, keyed object, or one document
+  const shapes = { scores: "id", attempts: "attemptId", ratings: null, settings: null, users: "username", drivers: "id", catalogue: null, tournaments: "id", rigs: "id", queue: "id", screens: "id", playlists: "id", pending: "id" };
+  const written = new Map(); // collection -> Map(key -> { json, pos })
+  const pending = new Map(); // collection -> { timer, data }
 
-  // PB improvement points
-  if (newPBMs < oldPBMs && oldPBMs > 0) {
-    const improvementPct = (oldPBMs - newPBMs) / oldPBMs;
-    delta += Math.max(1, Math.min(25, Math.round(improvementPct * 400)));
+  for (const name of Object.keys(shapes)) {
+    db.exec(`CREATE TABLE IF NOT EXISTS ${name} (key TEXT PRIMARY KEY, data TEXT NOT NULL, pos INTEGER NOT NULL DEFAULT 0)`);
+    if (!db.prepare(`PRAGMA table_info(${name})`).all().some(c => c.name === "pos")) {
+      db.exec(`ALTER TABLE ${name} ADD COLUMN pos INTEGER NOT NULL DEFAULT 0`);
+    }
   }
 
-  // Field position points
-  if (medianMs !== Infinity && medianMs > 0) {
-    if (newPBMs < medianMs) {
-      // Faster than median: +5 to +15
-      const percentageFasterThanMedian = (medianMs - newPBMs) / medianMs;
-      delta += Math.max(5, Math.min(15, Math.round(percentageFasterThanMedian * 15)));
+  const toEntries = (name, data) => {
+    if (name === "settings") return [["settings", data]];
+    if (!shapes[name]) return Object.entries(data || {});
+    return (data || []).map((row, i) => [String(row[shapes[name]] ?? `#${i}`), row]);
+  };
+
+  function write(name, data) {
+    const prev = written.get(name) || new Map();
+    const next = new Map(toEntries(name, data).map(([k, v], pos) => [k, { json: JSON.stringify(v), pos }]));
+    const upsert = db.prepare(`INSERT INTO ${name} (key, data, pos) VALUES (?, ?, ?) ON CONFLICT(key) DO UPDATE SET data = excluded.data, pos = excluded.pos`);
+    const remove = db.prepare(`DELETE FROM ${name} WHERE key = ?`);
+    try {
+      db.transaction(() => {
+        for (const [k, row] of next) {
+          const old = prev.get(k);
+          if (old?.json !== row.json || old.pos !== row.pos) upsert.run(k, row.json, row.pos);
+        }
+        for (const k of prev.keys()) if (!next.has(k)) remove.run(k);
+      })();
+      written.set(name, next);
+    } catch (e) {
+      console.error("Save failed:", name, e);
     }
-    // Slower than median: 0 (don't punish)
   }
 
-  return delta;
+  function load(name, fallback) {
+    const rows = db.prepare(`SELECT key, data, pos FROM ${name} ORDER BY pos, rowid`).all();
+    written.set(name, new Map(rows.map(r => [r.key, { json: r.data, pos: r.pos }])));
+    if (!rows.length) return fallback;
+    if (name === "settings") return JSON.parse(rows[0].data);
+    if (!shapes[name]) return Object.fromEntries(rows.map(r => [r.key, JSON.parse(r.data)]));
+    return rows.map(r => JSON.parse(r.data));
+  }
+
+  // Migration: bring existing JSON files across the first time the database is used
+  for (const [name, file] of Object.entries(STORE_FILES)) {
+    const empty = !db.prepare(`SELECT 1 FROM ${name} LIMIT 1`).get();
+    if (!empty || !fs.existsSync(file)) continue;
+    const data = loadJson(file, null);
+    if (data === null) continue;
+    written.set(name, new Map());
+    write(name, data);
+    console.log(`Imported ${file} into ${SQLITE_FILE}`);
+  }
+
+  return {
+    name: "sqlite",
+    load,
+    save(name, data) {
+      clearTimeout(pending.get(name)?.timer);
+      const timer = setTimeout(() => {
+        pending.delete(name);
+        write(name, data);
+      }, SAVE_DEBOUNCE_MS);
+      pending.set(name, { timer, data });
+    },
+    flush() {
+      for (const [name, { timer, data }] of pending) {
+        clearTimeout(timer);
+        write(name, data);
+      }
+      pending.clear();
+      flushJson(); // trace index and other plain JSON files
+    }
+  };
+}
+
+const storage = STORAGE_BACKEND === "sqlite" ? await createSqliteStorage() : createJsonStorage();
+
+function saveScores() { storage.save("scores", scores); }
+function saveAttempts() { storage.save("attempts", attempts); }
+function saveSettings() { storage.save("settings", settings); }
+function saveRatings() { storage.save("ratings", ratings); }
+function saveUsers() { storage.save("users", users); }
+function saveDrivers() { storage.save("drivers", drivers); }
+
+// Pending debounced writes must land before the process goes away
+for (const sig of ["SIGINT", "SIGTERM"]) {
+  process.on(sig, () => {
+    storage.flush();
+    process.exit(0);
+  });
+}
+
+function makeId() {
+  return (globalThis.crypto?.randomUUID?.() ?? `${Date.now()}-${Math.random().toString(16).slice(2)}`);
+}
+
+// -------------------- Rating System (Elo vs the field) --------------------
+// Ratings are rebuilt from scratch, so they only depend on the data and never
+// on the order laps were typed in. Laps are replayed in createdAt order per
+// game + track; each time a driver sets a new personal best it is scored as an
+// Elo match against every other driver's current PB on that track: beating a
+// higher-rated driver gains more than beating a lower-rated one. The points
+// won come off the drivers who were passed (and the other way round), so the
+// field as a whole doesn't inflate. Only laps on a leaderboard row's board
+// count, so deleting a row or resetting an event takes its points away again.
+const RATING_BASE = 1000;
+const RATING_K = 32;             // most a single PB can move a rating
+const RATING_HISTORY_MAX = 200;  // newest changes kept per rating
+
+// One rating per driver per game + track, keyed by driver id (see Driver registry)
+function getRatingKey(game, track, driverId) {
+  return `${String(game).trim()}|${String(track).trim().toLowerCase()}|${driverId}`;
+}
+
+// Boards only need the current value; history is served with the driver profile
+function viewRatings() {
+  return Object.fromEntries(Object.entries(ratings).map(([k, { history, ...r }]) => [k, r]));
 }
 
-// Normalize name for display
-function normalizeName(first, last, nameMode) {
-  if (nameMode === "FIRST_INITIAL") {
-    return `${first.charAt(0)}. ${last}`;
-  } else if (nameMode === "FIRST_LAST_INITIAL") {
-    return `${first} ${last.charAt(0)}.`;
+// Ratings never cross game + track, so one field can be replayed on its own
+const ratingField = (r) => `${String(r.game).trim()}|${String(r.track).trim().toLowerCase()}`;
+
+// Attempts on boards that still have a row, plus rows whose attempt was cleaned up
+function ratingInputs(field = null) {
+  const inField = (r) => !field || ratingField(r) === field;
+  const boards = new Set(scores.filter(inField).map(makeKey));
+  const seen = new Set();
+  const list = [];
+  for (const a of attempts) {
+    if (!countsAsLap(a) || !inField(a) || !boards.has(makeKey(a))) continue;
+    list.push(a);
+    seen.add(a.attemptId);
   }
-  return `${first} ${last}`;
+  for (const r of scores) if (inField(r) && !seen.has(r.attemptId)) list.push(r);
+  return list.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)) || String(a.attemptId).localeCompare(String(b.attemptId)));
+}
+
+function computeRatings(inputs) {
+  const state = {};         // rating key -> { value, entry }
+  const fields = new Map(); // game|track -> Map(driverId -> PB ms)
+
+  const touch = (key, value, at, attemptId) => {
+    const s = state[key];
+    const rating = Math.round(value);
+    const delta = rating - (s.entry.history.at(-1)?.rating ?? RATING_BASE);
+    s.value = value;
+    if (s.entry.history.length && !delta) return;
+    s.entry.rating = rating;
+    s.entry.lastChange = delta;
+    s.entry.updatedAt = at;
+    s.entry.history.push({ at, rating, delta, attemptId });
+    if (s.entry.history.length > RATING_HISTORY_MAX) s.entry.history.shift();
+  };
+
+  for (const a of inputs) {
+    const ms = timeToMs(a.time);
+    if (!Number.isFinite(ms) || !a.driverId) continue;
+    const fieldKey = `${a.game}|${String(a.track).toLowerCase()}`;
+    if (!fields.has(fieldKey)) fields.set(fieldKey, new Map());
+    const field = fields.get(fieldKey);
+    if (ms >= (field.get(a.driverId) ?? Infinity)) continue; // only new PBs move ratings
+    field.set(a.driverId, ms);
+
+    const key = getRatingKey(a.game, a.track, a.driverId);
+    state[key] ||= { value: RATING_BASE, entry: { rating: RATING_BASE, lastChange: 0, updatedAt: a.createdAt, history: [] } };
+    const me = state[key];
+    const others = [...field].filter(([id]) => id !== a.driverId);
+
+    let gained = 0;
+    for (const [id, theirMs] of others) {
+      const themKey = getRatingKey(a.game, a.track, id);
+      const expected = 1 / (1 + 10 ** ((state[themKey].value - me.value) / 400));
+      const actual = ms < theirMs ? 1 : ms > theirMs ? 0 : 0.5;
+      const d = (RATING_K * (actual - expected)) / others.length;
+      gained += d;
+      touch(themKey, state[themKey].value - d, a.createdAt, a.attemptId);
+    }
+    touch(key, me.value + gained, a.createdAt, a.attemptId);
+  }
+
+  return Object.fromEntries(Object.entries(state).map(([k, s]) => [k, s.entry]));
+}
+
+// Called whenever laps, rows or drivers change; pushes the new ratings to every board
+function recomputeRatings() {
+  ratings = computeRatings(ratingInputs());
+  saveRatings();
+  io.emit("ratingsUpdate", viewRatings());
+  return ratings;
+}
+
+// Same, for one game + track; a new lap only has to replay its own field
+function recomputeFieldRatings(game, track) {
+  const field = ratingField({ game, track });
+  for (const k of Object.keys(ratings)) if (k.startsWith(`${field}|`)) delete ratings[k];
+  Object.assign(ratings, computeRatings(ratingInputs(field)));
+  saveRatings();
+  io.emit("ratingsUpdate", viewRatings());
+  return ratings;
 }
 
 // -------------------- Events helpers --------------------
-let scores = loadJson(DATA_FILE, []);
-let attempts = loadJson(ATTEMPTS_FILE, []);
-let ratings = loadJson(RATINGS_FILE, {});
+let scores = storage.load("scores", []);
+let attempts = storage.load("attempts", []);
+let ratings = storage.load("ratings", {});
 
-let settings = loadJson(SETTINGS_FILE, {
+let settings = storage.load("settings", {
   events: [
     { id: "evt_default", name: "Open Day Time Trial", isLive: true, createdAt: new Date().toISOString() }
   ],
@@ -131,7 +362,7 @@ let settings = loadJson(SETTINGS_FILE, {
 
   fullscreen: {
     eventId: "evt_default",
-    game: "",               // ""=Mixed, "Assetto Corsa", "F1 25"
+    game: "",               // ""=Mixed, or a catalogue game name
     followLiveEvent: true,
     useTvCycle: false
   },
@@ -172,29 +403,485 @@ function getLiveEvent() {
 function getEventById(id) {
   return settings.events.find(e => e.id === id);
 }
-function getPublicSettings() {
+// full: admin view. Everyone else gets settings without the rig key.
+function getPublicSettings(full = false) {
   const live = getLiveEvent();
-  return {
+  const out = {
     ...settings,
+    quickLap: undefined, // sent as quickLapUpdate, which respects privacy mode
     liveEventId: live?.id,
     liveEventName: live?.name
   };
+  if (!full && out.rig) {
+    const { key, ...rig } = out.rig;
+    out.rig = rig;
+  }
+  if (!full) out.moderation = undefined; // thresholds would show how fast a fake lap can be
+  return out;
 }
 function createEvent(name) {
   const id = `evt_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
   const evt = { id, name: String(name || "").trim() || "Untitled Event", isLive: false, createdAt: new Date().toISOString() };
   settings.events.unshift(evt);
   saveSettings();
-  io.emit("settingsUpdate", getPublicSettings());
+  broadcastSettings();
   return evt;
 }
 function setLiveEvent(eventId) {
   settings.events = settings.events.map(e => ({ ...e, isLive: e.id === eventId }));
   if (settings.fullscreen?.followLiveEvent) settings.fullscreen.eventId = eventId;
   saveSettings();
-  io.emit("settingsUpdate", getPublicSettings());
+  broadcastSettings();
+}
+
+// -------------------- Event schedule --------------------
+// Events can have start/end times, an assigned game + track and an auto-close
+// rule. A timer makes an event live when its start passes and closes it once
+// its end (plus grace) has passed; a closed event is frozen and rejects laps.
+// Each rule fires once per time that was set, so a manual switch or reopen
+// isn't undone on the next tick.
+const SCHEDULE_TICK_MS = 5000;
+const SCHEDULE_MAX_GRACE_MIN = 240;
+const SCHEDULER_ACTOR = { system: "scheduler" };
+let lastScheduleSig = "";
+
+const tsOf = (iso) => (iso ? new Date(iso).getTime() : NaN);
+
+// When an event stops taking laps by itself (null: only when closed by hand)
+function eventClosesAt(e) {
+  if (!e?.autoClose || !e.endsAt) return null;
+  return tsOf(e.endsAt) + (e.graceMin || 0) * 60_000;
+}
+
+function viewScheduledEvent(e) {
+  if (!e) return null;
+  const closesAt = eventClosesAt(e);
+  return {
+    id: e.id,
+    name: e.name,
+    game: e.game || "",
+    track: e.track || "",
+    startsAt: e.startsAt || "",
+    endsAt: e.endsAt || "",
+    closesAt: closesAt === null ? "" : new Date(closesAt).toISOString(),
+    closed: !!e.closedAt
+  };
+}
+
+// What the displays count down to: the live event's close and the next start
+function scheduleStatus() {
+  const now = Date.now();
+  const next = settings.events
+    .filter(e => e.startsAt && tsOf(e.startsAt) > now && !e.closedAt)
+    .sort((a, b) => tsOf(a.startsAt) - tsOf(b.startsAt))[0];
+  return { serverTime: new Date(now).toISOString(), live: viewScheduledEvent(getLiveEvent()), next: viewScheduledEvent(next) };
+}
+
+function broadcastSchedule(force = false) {
+  const status = scheduleStatus();
+  const sig = JSON.stringify([status.live, status.next]);
+  if (!force && sig === lastScheduleSig) return;
+  lastScheduleSig = sig;
+  io.emit("scheduleUpdate", status);
+}
+
+function sanitiseSchedule(input, evt) {
+  const date = (v) => {
+    const str = String(v ?? "").trim();
+    if (!str) return "";
+    const ts = new Date(str).getTime();
+    return Number.isFinite(ts) ? new Date(ts).toISOString() : null;
+  };
+  const startsAt = date(input?.startsAt);
+  const endsAt = date(input?.endsAt);
+  if (startsAt === null || endsAt === null) return { reason: "bad_time" };
+  if (startsAt && endsAt && tsOf(endsAt) <= tsOf(startsAt)) return { reason: "bad_window" };
+
+  const out = {
+    name: cleanName(input?.name ?? evt.name).slice(0, 120) || evt.name,
+    startsAt,
+    endsAt,
+    game: "",
+    track: "",
+    autoClose: !!input?.autoClose && !!endsAt,
+    graceMin: Math.min(Math.max(parseInt(input?.graceMin, 10) || 0, 0), SCHEDULE_MAX_GRACE_MIN)
+  };
+
+  const game = String(input?.game || "").trim();
+  const track = String(input?.track || "").trim();
+  if (track && !game) return { reason: "invalid" };
+  if (game) {
+    const entry = catalogueIndex.get(catKey(game));
+    if (!entry) return { reason: "unknown_game" };
+    out.game = entry.game.name;
+    if (track) {
+      const row = { game, track, car: "" };
+      const rejected = applyCatalogue(row);
+      if (rejected) return { reason: rejected };
+      out.track = row.track;
+    }
+  }
+  return { schedule: out };
+}
+
+function updateEventSchedule(eventId, input, actor) {
+  const e = getEventById(eventId);
+  if (!e) return { ok: false, reason: "not_found" };
+  const clean = sanitiseSchedule(input, e);
+  if (!clean.schedule) return { ok: false, reason: clean.reason };
+
+  const before = structuredClone(e);
+  Object.assign(e, clean.schedule);
+  saveSettings();
+  broadcastSettings();
+  audit(actor, "eventSchedule", { target: e.id, before, after: structuredClone(e) });
+  runSchedule();
+  broadcastSchedule(true);
+  return { ok: true, event: viewScheduledEvent(e) };
+}
+
+function setEventClosed(eventId, closed, actor) {
+  const e = getEventById(eventId);
+  if (!e) return { ok: false, reason: "not_found" };
+  if (closed === !!e.closedAt) return { ok: false, reason: closed ? "already_closed" : "not_closed" };
+
+  if (closed) {
+    e.closedAt = new Date().toISOString();
+  } else {
+    delete e.closedAt;
+    e.reopenedAt = new Date().toISOString();
+  }
+  saveSettings();
+  broadcastSettings();
+  broadcastSchedule(true);
+  audit(actor, closed ? "closeEvent" : "reopenEvent", { target: e.id, after: { name: e.name } });
+  return { ok: true, event: viewScheduledEvent(e) };
+}
+
+function runSchedule() {
+  const now = Date.now();
+
+  // Close first, so an event that ended while the server was down doesn't go live
+  for (const e of settings.events) {
+    const closesAt = eventClosesAt(e);
+    if (closesAt === null || now < closesAt || e.closedAt) continue;
+    if (e.reopenedAt && tsOf(e.reopenedAt) >= closesAt) continue;
+    setEventClosed(e.id, true, SCHEDULER_ACTOR);
+  }
+
+  // The latest start that has passed wins; events that are already over are skipped
+  const due = settings.events
+    .filter(e => e.startsAt && tsOf(e.startsAt) <= now && !e.closedAt)
+    .filter(e => !(e.endsAt && tsOf(e.endsAt) <= now))
+    .filter(e => !(e.wentLiveAt && tsOf(e.wentLiveAt) >= tsOf(e.startsAt)))
+    .sort((a, b) => tsOf(b.startsAt) - tsOf(a.startsAt));
+  if (due.length) {
+    const before = structuredClone(settings);
+    for (const e of due) e.wentLiveAt = new Date(now).toISOString();
+    const target = due[0];
+    if (settings.fullscreen?.followLiveEvent && target.game) settings.fullscreen.game = target.game;
+    setLiveEvent(target.id);
+    audit(SCHEDULER_ACTOR, "setLiveEvent", settingsDiff(before));
+  }
+
+  broadcastSchedule();
+}
+
+// -------------------- Privacy (server-side redaction) --------------------
+// Lecturer mode and settings.privacy are applied here, before anything leaves the
+// server, so non-admin pages and API callers never see full names or courses.
+// Signed-in staff sockets join ADMIN_ROOM and keep the full data; HTTP callers
+// get it with a session token (see Accounts + sessions).
+const ADMIN_ROOM = "admins";
+
+function privacyOn() {
+  const p = settings.privacy || {};
+  return !!settings.lecturerMode || (p.nameMode || "FULL") !== "FULL" || !!p.hideCourse;
+}
+
+// Same rules the display pages use for names, so redacted rows render unchanged
+function redactName(first, last, cohort) {
+  const f = String(first || "");
+  const l = String(last || "");
+  const nameMode = settings.privacy?.nameMode || "FULL";
+  if (settings.lecturerMode && (cohort || "Guest") === "Guest") return { first: "Guest", last: "" };
+  if (nameMode === "FIRST_INITIAL") return { first: f ? `${f.charAt(0)}.` : "", last: l };
+  if (nameMode === "FIRST_LAST_INITIAL") return { first: f, last: l ? `${l.charAt(0)}.` : "" };
+  return { first: f, last: l };
+}
+
+// Anything with first/last (and optionally cohort/course): rows, trace metadata, rig drivers
+function redactPerson(obj) {
+  if (!obj || !privacyOn()) return obj;
+  const out = { ...obj, ...redactName(obj.first, obj.last, obj.cohort) };
+  if (settings.privacy?.hideCourse && "course" in out) out.course = "—";
+  return out;
+}
+
+// Telemetry only has the in-game driver name as one string
+function redactDriverName(name) {
+  if (!name || !privacyOn()) return name;
+  const [first, ...rest] = String(name).split(/\s+/);
+  const r = redactName(first, rest.join(" "), "");
+  return `${r.first} ${r.last}`.trim();
+}
+
+// Leaderboard/attempt row as a client sees it; ratingKey points into the ratings map.
+// Rating keys only hold the driver id, so they are the same for everyone.
+function viewScore(row, full) {
+  const out = full ? { ...row } : redactPerson({ ...row });
+  out.ratingKey = getRatingKey(row.game, row.track, row.driverId);
+  return out;
+}
+
+const viewScores = (list, full) => list.map(r => viewScore(r, full));
+
+function viewRigSession(s, full) {
+  return full || !s ? s : { ...s, driver: redactPerson(s.driver) };
+}
+
+// build(full) makes the payload; admins and everyone else get their own version
+function emitPrivate(event, build) {
+  if (!privacyOn()) return io.emit(event, build(true));
+  io.to(ADMIN_ROOM).emit(event, build(true));
+  io.except(ADMIN_ROOM).emit(event, build(false));
+}
+
+function sendBoards(target, full) {
+  target.emit("loadScores", viewScores(scores, full));
+  target.emit("settingsUpdate", getPublicSettings(full));
+  target.emit("ratingsUpdate", viewRatings());
+  target.emit("catalogueUpdate", viewCatalogue());
+  target.emit("scheduleUpdate", scheduleStatus());
+  target.emit("queueUpdate", viewQueue(full));
+  target.emit("quickLapUpdate", viewQuickLap(full));
+}
+
+// Settings changes go out through here; when the privacy rules change, clients
+// holding rows redacted under the old rules get the boards again
+let lastPrivacySig = JSON.stringify([settings.lecturerMode, settings.privacy]);
+function broadcastSettings() {
+  emitPrivate("settingsUpdate", getPublicSettings);
+  const sig = JSON.stringify([settings.lecturerMode, settings.privacy]);
+  if (sig === lastPrivacySig) return;
+  lastPrivacySig = sig;
+  io.except(ADMIN_ROOM).emit("loadScores", viewScores(scores, false));
+}
+
+// -------------------- Accounts + sessions --------------------
+// Staff sign in with a named account (scrypt-hashed password) and get a session
+// token. Sockets present it once (adminLogin/adminResume, or the handshake auth);
+// HTTP callers send "Authorization: Bearer <token>". What a signed-in user may
+// do comes from their role.
+const ROLE_PERMISSIONS = {
+  marshal: ["view", "laps", "rows"],
+  lecturer: ["view", "laps", "rows", "events", "display", "privacy", "drivers"],
+  admin: ["view", "laps", "rows", "events", "display", "privacy", "drivers", "settings", "data", "rigkeys", "users", "audit"]
+};
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;  // sliding: each use extends it
+const LOGIN_MAX_FAILS = 5;                    // per account
+const LOGIN_MAX_FAILS_PER_IP = 20;            // per address, across accounts
+const LOGIN_LOCK_MS = 15 * 60 * 1000;
+const USERNAME_RE = /^[a-z0-9._-]{2,32}$/;
+const PASSWORD_MIN_LENGTH = 8;
+
+let users = storage.load("users", []);
+const sessions = new Map();       // token -> { username, expiresAt }
+const loginFailures = new Map();  // "user:<name>" | "ip:<address>" -> { count, lockedUntil }
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  return { salt, hash: crypto.scryptSync(String(password || ""), salt, 64).toString("hex") };
+}
+
+function checkPassword(user, password) {
+  const { hash } = hashPassword(password, user.salt);
+  return crypto.timingSafeEqual(Buffer.from(hash, "hex"), Buffer.from(user.hash, "hex"));
+}
+
+// An account that has to change its password can sign in, but can do nothing else until it does
+function publicUser(u) {
+  const mustChangePassword = !!u.mustChangePassword;
+  return { username: u.username, name: u.name, role: u.role, disabled: !!u.disabled, createdAt: u.createdAt, mustChangePassword, permissions: mustChangePassword ? [] : ROLE_PERMISSIONS[u.role] || [] };
+}
+
+const activeAdmins = () => users.filter(u => u.role === "admin" && !u.disabled);
+
+// First start: one admin account so the desk can be used at all
+if (!users.length) {
+  users.push({ username: "admin", name: "Admin", role: "admin", ...hashPassword(ADMIN_PASSWORD), createdAt: new Date().toISOString() });
+  saveUsers();
+  const hint = process.env.ADMIN_PASSWORD || process.env.ADMIN_PIN ? "" : " using the default password 1234";
+  console.log(`Created admin account "admin"${hint}`);
+}
+
+// A seed password the policy would refuse (the default 1234, or a short ADMIN_PASSWORD)
+// has to be changed at the next sign-in; this also catches accounts from older versions
+if (ADMIN_PASSWORD.length < PASSWORD_MIN_LENGTH) {
+  const weak = users.filter(u => !u.mustChangePassword && checkPassword(u, ADMIN_PASSWORD));
+  for (const u of weak) u.mustChangePassword = true;
+  if (weak.length) {
+    saveUsers();
+    console.warn(`${weak.map(u => u.username).join(", ")}: the password is shorter than ${PASSWORD_MIN_LENGTH} characters and must be changed at the next sign-in (Admin → Security)`);
+  }
+}
+
+function login(username, password, ip) {
+  const now = Date.now();
+  const name = String(username || "").trim().toLowerCase();
+  const keys = [[`user:${name}`, LOGIN_MAX_FAILS], [`ip:${ip}`, LOGIN_MAX_FAILS_PER_IP]];
+  if (keys.some(([k]) => (loginFailures.get(k)?.lockedUntil || 0) > now)) {
+    audit({ username: name, ip }, "loginLocked");
+    return { ok: false, reason: "locked" };
+  }
+
+  const user = users.find(u => u.username === name);
+  const ok = user ? checkPassword(user, password) : (hashPassword(password), false); // same work either way
+  if (!ok || user.disabled) {
+    for (const [k, max] of keys) {
+      const f = loginFailures.get(k) || { count: 0, lockedUntil: 0 };
+      if (++f.count >= max) {
+        f.count = 0;
+        f.lockedUntil = now + LOGIN_LOCK_MS;
+        console.warn(`Login locked for ${k} after ${max} failed attempts`);
+      }
+      loginFailures.set(k, f);
+    }
+    audit({ username: name, ip }, "loginFailed");
+    return { ok: false, reason: "bad_credentials" };
+  }
+
+  loginFailures.delete(keys[0][0]);
+  for (const [t, sess] of sessions) if (sess.expiresAt < now) sessions.delete(t);
+  const token = crypto.randomBytes(32).toString("base64url");
+  sessions.set(token, { username: user.username, expiresAt: now + SESSION_TTL_MS });
+  audit({ ...actorFor(user), ip }, "login");
+  return { ok: true, token, user: publicUser(user) };
+}
+
+function getSession(token) {
+  const sess = token ? sessions.get(String(token)) : null;
+  if (!sess) return null;
+  const user = users.find(u => u.username === sess.username);
+  if (!user || user.disabled || sess.expiresAt < Date.now()) {
+    sessions.delete(String(token));
+    return null;
+  }
+  sess.expiresAt = Date.now() + SESSION_TTL_MS;
+  return { token: String(token), user };
+}
+
+const hasPermission = (user, perm) => !user?.mustChangePassword && (ROLE_PERMISSIONS[user?.role] || []).includes(perm);
+const can = (socket, perm) => hasPermission(getSession(socket.data.token)?.user, perm);
+
+const bearerToken = (req) => /^Bearer\s+(\S+)$/i.exec(String(req.headers.authorization || ""))?.[1];
+const reqCan = (req, perm) => hasPermission(getSession(bearerToken(req))?.user, perm);
+
+// Binds a session to a socket (or clears it) and moves the socket in or out of ADMIN_ROOM
+function attachSession(socket, token) {
+  const session = getSession(token);
+  socket.data.token = session?.token || null;
+  const staff = hasPermission(session?.user, "view");
+  if (staff && !socket.rooms.has(ADMIN_ROOM)) {
+    socket.join(ADMIN_ROOM);
+    sendBoards(socket, true);
+  } else if (!staff && socket.rooms.has(ADMIN_ROOM)) {
+    socket.leave(ADMIN_ROOM);
+    sendBoards(socket, false);
+  }
+  if (hasPermission(session?.user, "audit")) socket.join(AUDIT_ROOM);
+  else socket.leave(AUDIT_ROOM);
+  socket.emit("adminSession", session
+    ? { ok: true, token: session.token, user: publicUser(session.user) }
+    : { ok: false, reason: token ? "expired" : "signed_out" });
+  return session;
+}
+
+// After account changes, re-check every signed-in socket so roles and sign-outs apply immediately
+function refreshSessionSockets() {
+  for (const sock of io.sockets.sockets.values()) {
+    if (sock.data.token) attachSession(sock, sock.data.token);
+  }
+}
+
+function endUserSessions(username, keepToken = null) {
+  for (const [t, sess] of sessions) if (sess.username === username && t !== keepToken) sessions.delete(t);
+}
+
+function saveUser(data, actor) {
+  const username = String(data?.username || "").trim().toLowerCase();
+  if (!USERNAME_RE.test(username)) return { ok: false, reason: "bad_username" };
+  if (!ROLE_PERMISSIONS[data.role]) return { ok: false, reason: "bad_role" };
+
+  let user = users.find(u => u.username === username);
+  const password = String(data.password || "");
+  if (!user && !password) return { ok: false, reason: "password_required" };
+  if (password && password.length < PASSWORD_MIN_LENGTH) return { ok: false, reason: "password_too_short" };
+
+  // Never leave the system without an admin who can sign in
+  const losesAdmin = user?.role === "admin" && !user.disabled && (data.role !== "admin" || data.disabled);
+  if (losesAdmin && activeAdmins().length <= 1) return { ok: false, reason: "last_admin" };
+
+  const before = user ? publicUser(user) : null;
+  if (!user) {
+    user = { username, createdAt: new Date().toISOString() };
+    users.push(user);
+  }
+  user.name = cleanStr(data.name) || user.name || username;
+  user.role = data.role;
+  user.disabled = !!data.disabled;
+  if (password) {
+    Object.assign(user, hashPassword(password));
+    endUserSessions(username);
+  }
+  saveUsers();
+  refreshSessionSockets();
+  audit(actor, "userSave", { target: username, before, after: publicUser(user), passwordChanged: !!password });
+  return { ok: true, user: publicUser(user) };
+}
+
+function deleteUser(username, actor) {
+  const name = String(username || "").trim().toLowerCase();
+  const user = users.find(u => u.username === name);
+  if (!user) return { ok: false, reason: "not_found" };
+  if (user.username === actor.username) return { ok: false, reason: "self" };
+  if (user.role === "admin" && !user.disabled && activeAdmins().length <= 1) return { ok: false, reason: "last_admin" };
+  users = users.filter(u => u !== user);
+  endUserSessions(name);
+  saveUsers();
+  refreshSessionSockets();
+  audit(actorFor(actor), "userDelete", { target: name, before: publicUser(user) });
+  return { ok: true };
+}
+
+function changePassword(session, current, next) {
+  if (!checkPassword(session.user, current)) return { ok: false, reason: "bad_credentials" };
+  if (String(next || "").length < PASSWORD_MIN_LENGTH) return { ok: false, reason: "password_too_short" };
+  Object.assign(session.user, hashPassword(next));
+  delete session.user.mustChangePassword;
+  endUserSessions(session.user.username, session.token);
+  saveUsers();
+  refreshSessionSockets();
+  audit(actorFor(session.user), "changePassword", { target: session.user.username });
+  return { ok: true };
 }
 
+app.post("/api/auth/login", express.json(), (req, res) => {
+  const r = login(req.body?.username, req.body?.password, req.ip);
+  if (!r.ok) return res.status(r.reason === "locked" ? 429 : 401).json(r);
+  res.json(r);
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  sessions.delete(bearerToken(req));
+  res.json({ ok: true });
+});
+
+app.get("/api/auth/me", (req, res) => {
+  const session = getSession(bearerToken(req));
+  if (!session) return res.status(401).json({ ok: false, reason: "signed_out" });
+  res.json({ ok: true, user: publicUser(session.user) });
+});
+
 // -------------------- Time parsing --------------------
 function timeToMs(t) {
   const str = String(t || "").trim();
@@ -210,13 +897,54 @@ function timeToMs(t) {
   return Infinity;
 }
 
+function msToTime(ms) {
+  const total = Math.max(0, Math.round(ms));
+  const m = Math.floor(total / 60000);
+  const s = Math.floor((total % 60000) / 1000);
+  const frac = String(total % 1000).padStart(3, "0");
+  return m ? `${m}:${String(s).padStart(2, "0")}.${frac}` : `${s}.${frac}`;
+}
+
+// Sector splits arrive as ms numbers (telemetry) or typed strings with 1-3 decimals ("31.2", "1:02.45")
+function splitToMs(v) {
+  if (typeof v === "number") return Number.isFinite(v) && v > 0 ? Math.round(v) : Infinity;
+  const m = /^(?:(\d+):)?(\d+)\.(\d{1,3})$/.exec(String(v ?? "").trim());
+  if (!m) return Infinity;
+  const ms = (parseInt(m[1] || "0", 10) * 60 + parseInt(m[2], 10)) * 1000 + parseInt(m[3].padEnd(3, "0"), 10);
+  return ms > 0 ? ms : Infinity;
+}
+
+// Splits must add up to the lap time (within SPLIT_TOLERANCE_MS) or they are dropped
+const SPLIT_TOLERANCE_MS = 100;
+const MAX_SPLITS = 40;
+
+function sanitiseSplits(list, lapMs) {
+  if (!Array.isArray(list) || list.length < 2 || list.length > MAX_SPLITS) return undefined;
+  const ms = list.map(splitToMs);
+  if (ms.some(x => x === Infinity)) return undefined;
+  const sum = ms.reduce((a, b) => a + b, 0);
+  if (lapMs === Infinity || Math.abs(sum - lapMs) > SPLIT_TOLERANCE_MS) return undefined;
+  return ms.map(msToTime);
+}
+
 // -------------------- Normalisation --------------------
-function sanitiseScore(data) {
+// Tournament heats and qualifying windows go by when a lap was set, so only staff
+// (the admin form, queued-lap uploads) may give a time; everything else gets the
+// time the server received it
+function lapTimestamp(value, from) {
+  const at = from.trust === "staff" ? Date.parse(value) : NaN;
+  return new Date(Number.isFinite(at) ? at : Date.now()).toISOString();
+}
+
+// null when required fields are missing, { reason } when the catalogue rejects the lap.
+// `from` is the lap's source, as passed to submitLap.
+function sanitiseScore(data, from) {
   if (!data) return null;
 
   const live = getLiveEvent();
   const eventIdRaw = String(data.eventId || live?.id || "evt_default").trim() || "evt_default";
   const eventId = getEventById(eventIdRaw) ? eventIdRaw : (live?.id || "evt_default");
+  if (getEventById(eventId)?.closedAt) return { reason: "event_closed" };
 
   const score = {
     id: data.id || makeId(),        // leaderboard row id
@@ -234,35 +962,65 @@ function sanitiseScore(data) {
     course: String(data.course || "").trim() || "—",
 
     eventId,
-    createdAt: data.createdAt || new Date().toISOString(),
+    createdAt: lapTimestamp(data.createdAt, from),
 
-    demo: !!data.demo
+    demo: from.source === "demo"    // only the demo generator; demo laps skip moderation
   };
+  if (data.traceId) score.traceId = String(data.traceId).trim();
+
+  const sectors = sanitiseSplits(data.sectors, timeToMs(score.time));
+  if (sectors) score.sectors = sectors;
+  const miniSectors = sanitiseSplits(data.miniSectors, timeToMs(score.time));
+  if (miniSectors) score.miniSectors = miniSectors;
 
   if (!score.first || !score.last || !score.time || !score.track || !score.game) return null;
-  if (score.game !== "Assetto Corsa" && score.game !== "F1 25") return null;
+  const rejected = applyCatalogue(score);
+  if (rejected) return { reason: rejected };
+
+  // Staff can pick a driver explicitly when two people share a name, or "new" for a
+  // second person; other sources are matched by name. The driver record itself is
+  // only created or updated once the lap is posted (see linkLapDriver).
+  const pick = from.trust === "staff" ? String(data.driverId || "").trim() : "";
+  if (pick === "new") score.newDriver = true;
+  else {
+    const known = findDriver(score.first, score.last, pick);
+    if (known) score.driverId = known.id;
+  }
 
   return score;
 }
 
-// One row per person per game+track+event
+// A posted lap gets its driver (a new one for a name nobody has yet, or when staff asked for one)
+function linkLapDriver(lap) {
+  const d = lap.newDriver ? createDriver(lap.first, lap.last, { cohort: lap.cohort }) : undefined;
+  delete lap.newDriver;
+  if (!assignDriver(lap, d)) return false;
+  saveDrivers();
+  return true;
+}
+
+// One row per driver per game+track+event
 function makeKey(s) {
-  const first = String(s.first || "").trim().toLowerCase();
-  const last  = String(s.last || "").trim().toLowerCase();
+  const driver = s.driverId || nameKey(s.first, s.last);
   const game  = String(s.game || "").trim();
   const track = String(s.track || "").trim().toLowerCase();
   const eventId = String(s.eventId || "").trim();
-  return `${first}|${last}|${game}|${track}|${eventId}`;
+  return `${driver}|${game}|${track}|${eventId}`;
+}
+
+// Laps rejected in moderation or invalidated by the stewards stay in the history but don't count
+function countsAsLap(a) {
+  return !a.rejected && !a.invalid;
 }
 
 // Duplicate guard: exact same fields within 60s
 function isDuplicateAttempt(candidate) {
   const now = Date.now();
-  return attempts.some(a => {
-    const dt = Math.abs(now - new Date(a.createdAt).getTime());
+  return recentAttempts(now - 60_000).some(a => {
+    const dt = Math.abs(now - attemptMeta(a).ts);
     return dt < 60_000 &&
-      a.first.toLowerCase() === candidate.first.toLowerCase() &&
-      a.last.toLowerCase() === candidate.last.toLowerCase() &&
+      countsAsLap(a) &&
+      a.driverId === candidate.driverId &&
       a.game === candidate.game &&
       a.track.toLowerCase() === candidate.track.toLowerCase() &&
       a.time === candidate.time &&
@@ -270,504 +1028,4132 @@ function isDuplicateAttempt(candidate) {
   });
 }
 
-function broadcastCounts() {
-  const map = {};
-  for (const s of scores) map[s.eventId] = (map[s.eventId] || 0) + 1;
-  io.emit("eventCounts", map);
+// -------------------- Driver registry --------------------
+// Every driver gets a stable id the first time their name is seen. Leaderboard
+// rows, attempts, ratings and traces carry that id, so spelling variants can be
+// merged into one person (the other spelling becomes an alias) and two students
+// who share a name can be split apart without touching anyone else's laps.
+let drivers = storage.load("drivers", []);
+const driversById = new Map();
+const driversByName = new Map(); // name key -> [driverId] (several when students share a name)
+
+const cleanName = (v) => String(v ?? "").normalize("NFKC").replace(/\s+/g, " ").trim();
+const nameKey = (first, last) => cleanName(`${first ?? ""} ${last ?? ""}`).toLowerCase();
+
+function indexDriver(d) {
+  driversById.set(d.id, d);
+  if (d.mergedInto) return;
+  for (const key of [nameKey(d.first, d.last), ...(d.aliases || []).map(a => nameKey(a, ""))]) {
+    const ids = driversByName.get(key) || [];
+    if (!ids.includes(d.id)) driversByName.set(key, [...ids, d.id]);
+  }
 }
 
-// -------------------- Core: log attempt + upsert best --------------------
-function submitLap(raw) {
-  const clean = sanitiseScore(raw);
-  if (!clean) return { ok: false, reason: "invalid" };
+function reindexDrivers() {
+  driversById.clear();
+  driversByName.clear();
+  for (const d of drivers) indexDriver(d);
+}
 
-  // Always log attempts for student search (ALL events)
-  if (!isDuplicateAttempt(clean)) {
-    attempts.push(clean);
-    saveAttempts();
-    io.emit("attemptAdded", { attemptId: clean.attemptId });
+// Follows merges, so ids from old links, snapshots and traces still find the person
+function getDriver(id) {
+  let d = driversById.get(String(id || ""));
+  for (let hops = 0; d?.mergedInto && hops < 20; hops++) d = driversById.get(d.mergedInto);
+  return d && !d.mergedInto ? d : null;
+}
+
+function createDriver(first, last, extra = {}) {
+  const d = {
+    id: `d_${crypto.randomBytes(6).toString("base64url")}`,
+    first: cleanName(first),
+    last: cleanName(last),
+    aliases: [],
+    createdAt: new Date().toISOString(),
+    ...extra
+  };
+  drivers.push(d);
+  indexDriver(d);
+  saveDrivers();
+  return d;
+}
+
+// An explicit driverId wins. Otherwise the name (or an alias) decides; when it
+// belongs to several drivers, the one who drove most recently gets the lap.
+function findDriver(first, last, driverId = null) {
+  const byId = driverId ? getDriver(driverId) : null;
+  if (byId) return byId;
+  if (!cleanName(first) || !cleanName(last)) return null;
+  const matches = (driversByName.get(nameKey(first, last)) || []).map(getDriver).filter(Boolean);
+  return matches.sort((a, b) => String(b.lastSeenAt || "").localeCompare(String(a.lastSeenAt || "")))[0] || null;
+}
+
+// As findDriver, creating a driver for a name nobody has yet
+function resolveDriver(first, last, driverId = null, cohort = "") {
+  const found = findDriver(first, last, driverId);
+  if (found || !cleanName(first) || !cleanName(last)) return found;
+  return createDriver(first, last, { cohort: cohort || "Guest" });
+}
+
+// Gives a row (attempt, leaderboard row, restored snapshot row) its driver and the driver's spelling
+function assignDriver(row, d = resolveDriver(row.first, row.last, row.driverId, row.cohort)) {
+  if (!d) return null;
+  row.driverId = d.id;
+  row.first = d.first;
+  row.last = d.last;
+  if (String(row.createdAt || "") > String(d.lastSeenAt || "")) d.lastSeenAt = row.createdAt;
+  return d;
+}
+
+function listDrivers({ q = "", name = "", limit = 50 } = {}) {
+  const counts = new Map();
+  for (const a of attempts) counts.set(a.driverId, (counts.get(a.driverId) || 0) + 1);
+  let list = drivers.filter(d => !d.mergedInto);
+  if (name) list = (driversByName.get(nameKey(name, "")) || []).map(getDriver).filter(Boolean);
+  const terms = cleanName(q).toLowerCase().split(" ").filter(Boolean);
+  if (terms.length) {
+    list = list.filter(d => {
+      const hay = [d.id, d.first, d.last, d.cohort, ...(d.aliases || [])].join(" ").toLowerCase();
+      return terms.every(t => hay.includes(t));
+    });
   }
+  const n = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+  return list
+    .sort((a, b) => String(b.lastSeenAt || "").localeCompare(String(a.lastSeenAt || "")))
+    .slice(0, n)
+    .map(d => ({ ...d, attempts: counts.get(d.id) || 0, rows: scores.filter(s => s.driverId === d.id).length }));
+}
 
-  const key = makeKey(clean);
-  const idx = scores.findIndex(s => makeKey(s) === key);
+// Leaderboard rows hold each driver's best attempt per game + track + event.
+// After laps change hands, fill in rows a driver is now missing and upgrade
+// rows that no longer hold their fastest lap. Rows whose attempts were
+// cleaned up are left alone.
+function rebuildDriverRows(driverIds) {
+  const ids = new Set(driverIds);
+  const best = new Map();
+  for (const a of attempts) {
+    if (!countsAsLap(a) || !ids.has(a.driverId)) continue;
+    const key = makeKey(a);
+    if (!best.has(key) || timeToMs(a.time) < timeToMs(best.get(key).time)) best.set(key, a);
+  }
+  for (const [key, a] of best) {
+    const idx = scores.findIndex(s => makeKey(s) === key);
+    if (idx === -1) scores.push({ ...a, id: makeId() });
+    else if (timeToMs(a.time) < timeToMs(scores[idx].time)) scores[idx] = { ...a, id: scores[idx].id };
+  }
+}
 
-  let ratingDelta = 0;
+// Two rows for the same driver + game + track + event can appear after a merge; keep the faster
+function dedupeScores() {
+  const byKey = new Map();
+  for (const row of scores) {
+    const key = makeKey(row);
+    const cur = byKey.get(key);
+    if (!cur || timeToMs(row.time) < timeToMs(cur.time)) byKey.set(key, row);
+  }
+  const removed = scores.length - byKey.size;
+  if (removed) scores = scores.filter(r => byKey.get(makeKey(r)) === r);
+  return removed;
+}
 
-  if (idx === -1) {
-    // New driver on this track
-    const row = { ...clean };
-    scores.push(row);
-    
-    // Calculate initial rating
-    const ratingKey = getRatingKey(clean.game, clean.track, clean.first, clean.last);
-    const medianMs = getFieldMedianTime(clean.game, clean.track);
-    ratingDelta = calculateRatingDelta(1000, timeToMs(clean.time), timeToMs(clean.time), medianMs);
-    
-    // Initialize/update rating
-    if (!ratings[ratingKey]) {
-      ratings[ratingKey] = {
-        rating: 1000,
-        lastChange: ratingDelta,
-        updatedAt: new Date().toISOString()
-      };
-    } else {
-      ratings[ratingKey].rating += ratingDelta;
-      ratings[ratingKey].lastChange = ratingDelta;
-      ratings[ratingKey].updatedAt = new Date().toISOString();
+// Renames and alias changes are rewritten into every row so boards and search match
+function renameDriverRows(d) {
+  for (const list of [scores, attempts, traceIndex]) {
+    for (const r of list) {
+      if (r.driverId !== d.id) continue;
+      r.first = d.first;
+      r.last = d.last;
+      attemptMetaCache.delete(r);
     }
-    
-    saveScores();
-    saveRatings();
-    io.emit("scoreUpdate", row);
-    io.emit("ratingsUpdate", ratings);
-    broadcastCounts();
-    return { ok: true, mode: "added", ratingDelta };
   }
+}
 
-  const old = scores[idx];
-  if (timeToMs(clean.time) < timeToMs(old.time)) {
-    const row = { ...clean, id: old.id }; // keep row id stable
-    scores[idx] = row;
-    
-    // Calculate rating improvement
-    const ratingKey = getRatingKey(clean.game, clean.track, clean.first, clean.last);
-    const oldRating = getDriverRating(clean.game, clean.track, clean.first, clean.last);
-    const medianMs = getFieldMedianTime(clean.game, clean.track);
-    
-    ratingDelta = calculateRatingDelta(timeToMs(old.time), timeToMs(clean.time), timeToMs(clean.time), medianMs);
-    
-    if (ratings[ratingKey]) {
-      ratings[ratingKey].rating += ratingDelta;
-      ratings[ratingKey].lastChange = ratingDelta;
-      ratings[ratingKey].updatedAt = new Date().toISOString();
-    }
-    
-    saveScores();
-    saveRatings();
-    io.emit("scoreReplace", row);
-    io.emit("ratingsUpdate", ratings);
-    broadcastCounts();
-    return { ok: true, mode: "replaced", ratingDelta };
+function afterDriverChange() {
+  reindexDrivers();
+  rebuildAttemptIndex();
+  saveDrivers();
+  saveScores();
+  saveAttempts();
+  saveTraceIndex();
+  recomputeRatings();
+  emitPrivate("loadScores", full => viewScores(scores, full));
+  io.emit("attemptAdded", {});
+  broadcastCounts();
+}
+
+function updateDriver(id, patch, actor) {
+  const d = getDriver(id);
+  if (!d) return { ok: false, reason: "not_found" };
+  const before = structuredClone(d);
+  const first = cleanName(patch?.first ?? d.first);
+  const last = cleanName(patch?.last ?? d.last);
+  if (!first || !last) return { ok: false, reason: "invalid" };
+
+  const aliases = new Set((Array.isArray(patch?.aliases) ? patch.aliases : d.aliases || []).map(cleanName).filter(Boolean));
+  if (nameKey(first, last) !== nameKey(d.first, d.last)) aliases.add(`${d.first} ${d.last}`); // old spelling still resolves here
+  d.first = first;
+  d.last = last;
+  d.aliases = [...aliases].filter(a => nameKey(a, "") !== nameKey(first, last)).slice(0, 50);
+  if (patch?.cohort !== undefined) d.cohort = cleanName(patch.cohort) || "Guest";
+
+  renameDriverRows(d);
+  afterDriverChange();
+  audit(actor, "driverUpdate", { target: d.id, before, after: structuredClone(d) });
+  return { ok: true, driver: d };
+}
+
+// Everything the source driver did moves to the target; the source id keeps
+// pointing at the target so old profile links still work
+function mergeDrivers(sourceId, targetId, actor) {
+  const source = getDriver(sourceId);
+  const target = getDriver(targetId);
+  if (!source || !target) return { ok: false, reason: "not_found" };
+  if (source === target) return { ok: false, reason: "same_driver" };
+  const before = { source: structuredClone(source), target: structuredClone(target) };
+
+  const moved = { attempts: 0, scores: 0, traces: 0 };
+  for (const [name, list] of [["attempts", attempts], ["scores", scores], ["traces", traceIndex]]) {
+    for (const r of list) if (r.driverId === source.id) { r.driverId = target.id; moved[name]++; }
   }
+  renameDriverRows(target);
+  moved.duplicateRows = dedupeScores();
+  rebuildDriverRows([target.id]);
+
+  target.aliases = [...new Set([...(target.aliases || []), `${source.first} ${source.last}`, ...(source.aliases || [])])]
+    .filter(a => nameKey(a, "") !== nameKey(target.first, target.last))
+    .slice(0, 50);
+  if (String(source.lastSeenAt || "") > String(target.lastSeenAt || "")) target.lastSeenAt = source.lastSeenAt;
+  source.mergedInto = target.id;
+  source.mergedAt = new Date().toISOString();
+  source.aliases = [];
+
+  afterDriverChange();
+  audit(actor, "driverMerge", { target: target.id, before, after: structuredClone(target), counts: moved });
+  return { ok: true, driver: target, moved };
+}
 
-  return { ok: false, reason: "not_better" };
+// The chosen attempts become a new driver (e.g. a second student with the same name)
+function splitDriver(driverId, attemptIds, first, last, actor) {
+  const source = getDriver(driverId);
+  if (!source) return { ok: false, reason: "not_found" };
+  const ids = new Set(Array.isArray(attemptIds) ? attemptIds.map(String) : []);
+  const own = attempts.filter(a => a.driverId === source.id);
+  const moving = own.filter(a => ids.has(a.attemptId));
+  if (!moving.length) return { ok: false, reason: "no_attempts" };
+  if (moving.length === own.length) return { ok: false, reason: "all_attempts" };
+
+  const d = createDriver(cleanName(first) || source.first, cleanName(last) || source.last, { cohort: moving[0].cohort, splitFrom: source.id });
+  for (const a of moving) a.driverId = d.id;
+  for (const r of scores) if (r.driverId === source.id && ids.has(r.attemptId)) r.driverId = d.id;
+  for (const t of traceIndex) if (t.driverId === source.id && ids.has(t.attemptId)) t.driverId = d.id;
+  d.lastSeenAt = moving.map(a => a.createdAt).sort().pop();
+  renameDriverRows(d);
+  rebuildDriverRows([source.id, d.id]);
+
+  afterDriverChange();
+  audit(actor, "driverSplit", { target: source.id, after: structuredClone(d), counts: { attempts: moving.length } });
+  return { ok: true, driver: d };
 }
 
-// -------------------- Admin: resets / deletes --------------------
-function resetEvent(eventId) {
-  const beforeScores = scores.length;
-  const beforeAttempts = attempts.length;
+// Profile page data: PBs per track, board positions, rating history and every attempt.
+// Non-admin callers get the redacted name like everywhere else.
+function driverProfile(id, full) {
+  const d = getDriver(id);
+  if (!d) return null;
+  const own = attempts.filter(a => a.driverId === d.id).sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+
+  const pbs = new Map();
+  const timeline = own.map(a => {
+    const key = `${a.game}|${a.track.toLowerCase()}`;
+    const ms = timeToMs(a.time);
+    const isPb = countsAsLap(a) && ms < (pbs.get(key)?.ms ?? Infinity);
+    if (isPb) pbs.set(key, { ms, attempt: a });
+    return { attemptId: a.attemptId, createdAt: a.createdAt, time: a.time, game: a.game, track: a.track, car: a.car, eventId: a.eventId, sectors: a.sectors, traceId: a.traceId, pb: isPb, rejected: a.rejected, invalid: a.invalid, penaltyMs: a.penaltyMs, rawTime: a.rawTime, stewardReason: a.stewardReason };
+  });
 
-  scores = scores.filter(s => s.eventId !== eventId);
-  attempts = attempts.filter(a => a.eventId !== eventId);
+  const boards = scores.filter(s => s.driverId === d.id).map(s => {
+    const field = scores.filter(x => x.game === s.game && x.eventId === s.eventId && x.track.toLowerCase() === s.track.toLowerCase());
+    const rank = 1 + field.filter(x => timeToMs(x.time) < timeToMs(s.time)).length;
+    return { id: s.id, game: s.game, track: s.track, car: s.car, eventId: s.eventId, eventName: getEventById(s.eventId)?.name, time: s.time, rank, of: field.length };
+  });
+
+  const ratingList = Object.entries(ratings)
+    .filter(([key]) => key.split("|")[2] === d.id)
+    .map(([key, r]) => ({ key, game: key.split("|")[0], track: key.split("|")[1], ...r }));
+
+  const last = own[own.length - 1];
+  const person = { first: d.first, last: d.last, cohort: last?.cohort || d.cohort || "Guest", course: last?.course || "—" };
+  return {
+    ok: true,
+    driver: { id: d.id, ...(full ? person : redactPerson(person)), ...(full ? { aliases: d.aliases || [] } : {}), createdAt: d.createdAt, lastSeenAt: d.lastSeenAt },
+    pbs: [...pbs.values()].map(({ attempt: a }) => ({ game: a.game, track: a.track, car: a.car, time: a.time, createdAt: a.createdAt, eventId: a.eventId, traceId: a.traceId })),
+    boards,
+    ratings: ratingList,
+    attempts: timeline
+  };
+}
 
-  const removedScores = beforeScores - scores.length;
-  const removedAttempts = beforeAttempts - attempts.length;
+// Older data only has names: give every row a driver, oldest laps first so the
+// earliest spelling becomes the display name
+function migrateDriverIds() {
+  reindexDrivers();
+  let assigned = 0;
+  const byTime = [...attempts].sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  for (const row of [...byTime, ...scores, ...traceIndex]) {
+    if (row.driverId && getDriver(row.driverId)) continue;
+    if (assignDriver(row)) assigned++;
+    attemptMetaCache.delete(row);
+  }
 
+  if (!assigned) return;
+  const merged = dedupeScores();
+  rebuildAttemptIndex();
   saveScores();
   saveAttempts();
+  saveDrivers();
+  saveTraceIndex();
+  console.log(`Driver registry: ${assigned} rows linked to ${drivers.length} drivers${merged ? `, ${merged} duplicate rows merged` : ""}`);
+}
 
-  io.emit("clearEvent", { eventId });
-  broadcastCounts();
+// -------------------- Catalogue (games, tracks, cars) --------------------
+// Admin-managed list of what can be raced. Laps are matched against it by name
+// or alias (case, accents and punctuation ignored) and stored under the
+// canonical name, so "spa" and "Spa-Francorchamps" share one board. A track can
+// point at a public/tracks/<map>.json definition, which also lets telemetry
+// track ids resolve. Games list their tracks strictly unless openTracks is set;
+// cars are free text unless openCars is switched off.
+const CATALOGUE_MAX_GAMES = 20;
+const CATALOGUE_MAX_ENTRIES = 300; // tracks or cars per game
+const CATALOGUE_MAX_ALIASES = 20;
+
+const catKey = (v) => cleanName(v).normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase().replace(/[^a-z0-9]+/g, "");
+const catEntry = (name, extra = {}) => ({ name, aliases: [], ...extra });
+
+const DEFAULT_CATALOGUE = {
+  games: [
+    {
+      ...catEntry("Assetto Corsa", { aliases: ["AC"] }),
+      openTracks: false,
+      openCars: true,
+      tracks: [
+        catEntry("Spa-Francorchamps", { aliases: ["Spa"], map: "spa" }),
+        catEntry("Monza"), catEntry("Silverstone GP"), catEntry("Imola"), catEntry("Nürburgring GP")
+      ],
+      cars: ["BMW M4 GT3", "Ferrari 488 GT3", "Porsche 911 GT3 R", "McLaren 720S GT3", "Audi R8 LMS GT3"].map(n => catEntry(n, { class: "GT3" }))
+    },
+    {
+      ...catEntry("F1 25", { aliases: ["F1"] }),
+      openTracks: false,
+      openCars: true,
+      tracks: ["Silverstone", "Suzuka", "Bahrain", "Monza", "Interlagos"].map(n => catEntry(n)),
+      cars: ["Red Bull", "Ferrari", "Mercedes", "McLaren", "Aston Martin"].map(n => catEntry(n, { class: "F1" }))
+    }
+  ]
+};
 
-  return { removedScores, removedAttempts };
+let catalogue = storage.load("catalogue", null);
+let catalogueIndex = new Map(); // game key -> { game, tracks: Map(key -> track), cars: Map(key -> car) }
+
+function saveCatalogue() { storage.save("catalogue", catalogue); }
+
+function reindexCatalogue() {
+  catalogueIndex = new Map();
+  for (const game of catalogue.games) {
+    const entry = { game, tracks: new Map(), cars: new Map() };
+    for (const t of game.tracks) for (const k of [t.name, ...t.aliases, t.map]) if (catKey(k)) entry.tracks.set(catKey(k), t);
+    for (const c of game.cars) for (const k of [c.name, ...c.aliases]) if (catKey(k)) entry.cars.set(catKey(k), c);
+    for (const k of [game.name, ...game.aliases]) catalogueIndex.set(catKey(k), entry);
+  }
 }
 
-function clearAll() {
-  const removedScores = scores.length;
-  const removedAttempts = attempts.length;
+// Checks an edited catalogue; names and aliases must be unique within their list
+function sanitiseCatalogue(input) {
+  const names = (list) => (Array.isArray(list) ? list : String(list ?? "").split(","))
+    .map(a => cleanName(a).slice(0, 60)).filter(Boolean).slice(0, CATALOGUE_MAX_ALIASES);
+  const games = Array.isArray(input?.games) ? input.games : null;
+  if (!games || !games.length || games.length > CATALOGUE_MAX_GAMES) return { ok: false, reason: "invalid" };
+
+  const out = [];
+  const gameKeys = new Set();
+  for (const g of games) {
+    const name = cleanName(g?.name).slice(0, 60);
+    if (!name) return { ok: false, reason: "invalid" };
+    const game = { name, aliases: names(g.aliases), openTracks: !!g.openTracks, openCars: g.openCars !== false, tracks: [], cars: [] };
+    for (const k of [game.name, ...game.aliases].map(catKey)) {
+      if (gameKeys.has(k)) return { ok: false, reason: "duplicate_game", name };
+      gameKeys.add(k);
+    }
 
-  scores = [];
-  attempts = [];
+    for (const [field, build] of [
+      ["tracks", (t) => ({ map: String(t.map ?? "").trim().toLowerCase() })],
+      ["cars", (c) => ({ class: cleanName(c.class).slice(0, 40) })]
+    ]) {
+      const list = Array.isArray(g[field]) ? g[field] : [];
+      if (list.length > CATALOGUE_MAX_ENTRIES) return { ok: false, reason: "invalid" };
+      const keys = new Set();
+      for (const e of list) {
+        const entry = { name: cleanName(e?.name).slice(0, 60), aliases: names(e?.aliases), ...build(e || {}) };
+        if (!entry.name) continue;
+        if (entry.map && !TRACK_ID_RE.test(entry.map)) return { ok: false, reason: "bad_map", name: entry.name };
+        for (const k of [entry.name, ...entry.aliases].map(catKey)) {
+          if (keys.has(k)) return { ok: false, reason: field === "tracks" ? "duplicate_track" : "duplicate_car", name: entry.name };
+          keys.add(k);
+        }
+        game[field].push(entry);
+      }
+    }
+    out.push(game);
+  }
+  return { ok: true, catalogue: { games: out } };
+}
 
-  saveScores();
+// Puts a lap's game, track and car under their catalogue names.
+// Returns a reason when the catalogue doesn't allow the lap.
+function applyCatalogue(row) {
+  const entry = catalogueIndex.get(catKey(row.game));
+  if (!entry) return "unknown_game";
+  row.game = entry.game.name;
+
+  const track = entry.tracks.get(catKey(row.track));
+  if (track) row.track = track.name;
+  else if (!entry.game.openTracks) return "unknown_track";
+
+  const car = row.car ? entry.cars.get(catKey(row.car)) : null;
+  if (car) {
+    row.car = car.name;
+    if (car.class) row.carClass = car.class;
+    else delete row.carClass;
+  } else {
+    delete row.carClass;
+    if (row.car && !entry.game.openCars) return "unknown_car";
+  }
+  return "";
+}
+
+// Existing laps are renamed to match the catalogue; laps it no longer allows keep their names
+function renameCatalogueRows() {
+  let renamed = 0;
+  for (const list of [scores, attempts, traceIndex]) {
+    for (const r of list) {
+      const before = `${r.game}|${r.track}|${r.car}|${r.carClass}`;
+      const copy = { ...r };
+      if (applyCatalogue(copy)) continue;
+      if (`${copy.game}|${copy.track}|${copy.car}|${copy.carClass}` === before) continue;
+      Object.assign(r, { game: copy.game, track: copy.track, car: copy.car });
+      if (copy.carClass) r.carClass = copy.carClass;
+      else delete r.carClass;
+      attemptMetaCache.delete(r);
+      renamed++;
+    }
+  }
+  return renamed;
+}
+
+// Payload for pages: the catalogue plus which tracks have a map on disk
+function viewCatalogue() {
+  return {
+    games: catalogue.games.map(g => ({
+      ...g,
+      tracks: g.tracks.map(t => ({ ...t, hasMap: !!(t.map && loadTrackDef(t.map)) }))
+    }))
+  };
+}
+
+function setCatalogue(input, actor) {
+  const r = sanitiseCatalogue(input);
+  if (!r.ok) return r;
+  const before = catalogue;
+  catalogue = r.catalogue;
+  reindexCatalogue();
+  saveCatalogue();
+
+  const counts = { renamed: renameCatalogueRows(), duplicateRows: dedupeScores() };
+  if (counts.renamed) afterDriverChange();
+  io.emit("catalogueUpdate", viewCatalogue());
+  audit(actor, "catalogueSave", { before, after: catalogue, counts });
+  return { ok: true, ...counts };
+}
+
+// After seeding, rows saved under an alias ("Spa") move to the catalogue name,
+// so they share a board with new laps instead of splitting it in two
+function renameSeededRows() {
+  const renamed = renameCatalogueRows();
+  const merged = dedupeScores();
+  if (!renamed && !merged) return;
+  afterDriverChange();
+  console.log(`Catalogue: ${renamed} rows renamed to catalogue names${merged ? `, ${merged} duplicate rows merged` : ""}`);
+}
+
+// First start: the built-in games plus every track and car already on the boards,
+// so nothing that used to be accepted is rejected after an upgrade
+const catalogueSeeded = !catalogue;
+if (!catalogue) {
+  catalogue = structuredClone(DEFAULT_CATALOGUE);
+  reindexCatalogue();
+  for (const r of [...scores, ...attempts]) {
+    const entry = catalogueIndex.get(catKey(r.game));
+    if (!entry) continue;
+    if (r.track && !entry.tracks.has(catKey(r.track))) {
+      const t = catEntry(cleanName(r.track), { map: "" });
+      entry.game.tracks.push(t);
+      entry.tracks.set(catKey(t.name), t);
+    }
+    if (r.car && !entry.cars.has(catKey(r.car))) {
+      const c = catEntry(cleanName(r.car), { class: "" });
+      entry.game.cars.push(c);
+      entry.cars.set(catKey(c.name), c);
+    }
+  }
+  saveCatalogue();
+}
+reindexCatalogue();
+
+// -------------------- Attempt index --------------------
+// Attempts are kept in createdAt order per filter value, so the history can be
+// filtered and paged without scanning or re-sorting every attempt on each request.
+// submitLap adds to it incrementally; bulk removals rebuild it.
+const ATTEMPT_INDEX_FIELDS = ["track", "car", "cohort", "course", "game", "eventId", "driverId"];
+const ATTEMPT_PAGE_DEFAULT = 250;
+const ATTEMPT_PAGE_MAX = 2000;
+
+const attemptMetaCache = new WeakMap(); // attempt -> { ts, ms, hay, driver }
+let attemptIndex = null;
+
+function attemptMeta(a) {
+  let meta = attemptMetaCache.get(a);
+  if (!meta) {
+    meta = {
+      ts: new Date(a.createdAt).getTime() || 0,
+      ms: timeToMs(a.time),
+      hay: `${a.first} ${a.last} ${a.track} ${a.car} ${a.game} ${a.course} ${a.cohort}`.toLowerCase(),
+      driver: `${a.driverId}|${a.game}|${a.track}`.toLowerCase()
+    };
+    attemptMetaCache.set(a, meta);
+  }
+  return meta;
+}
+
+const indexKey = (v) => String(v ?? "").trim().toLowerCase();
+
+function redactedHay(a) {
+  const r = redactPerson(a);
+  return `${r.first} ${r.last} ${r.track} ${r.car} ${r.game} ${r.course} ${r.cohort}`.toLowerCase();
+}
+
+// Insert keeping createdAt order; new laps almost always go on the end
+function insertByTime(list, a) {
+  const ts = attemptMeta(a).ts;
+  let i = list.length;
+  while (i > 0 && attemptMeta(list[i - 1]).ts > ts) i--;
+  list.splice(i, 0, a);
+}
+
+function indexAttempt(a) {
+  insertByTime(attemptIndex.all, a);
+  for (const field of ATTEMPT_INDEX_FIELDS) {
+    const byValue = attemptIndex[field];
+    const key = indexKey(a[field]);
+    if (!byValue.has(key)) byValue.set(key, []);
+    insertByTime(byValue.get(key), a);
+  }
+}
+
+// Bulk rebuilds sort once and then append, instead of inserting each attempt into place
+function rebuildAttemptIndex() {
+  attemptIndex = { all: [...attempts].sort((a, b) => attemptMeta(a).ts - attemptMeta(b).ts) };
+  for (const field of ATTEMPT_INDEX_FIELDS) {
+    const byValue = new Map();
+    for (const a of attemptIndex.all) {
+      const key = indexKey(a[field]);
+      if (!byValue.has(key)) byValue.set(key, []);
+      byValue.get(key).push(a);
+    }
+    attemptIndex[field] = byValue;
+  }
+}
+
+function recentAttempts(sinceTs) {
+  const all = attemptIndex.all;
+  let i = all.length;
+  while (i > 0 && attemptMeta(all[i - 1]).ts >= sinceTs) i--;
+  return all.slice(i);
+}
+
+// Date filters accept ISO timestamps or plain dates; a plain "to" date includes that whole day
+function parseQueryDate(v, endOfDay = false) {
+  const str = String(v || "").trim();
+  if (!str) return null;
+  const ts = new Date(str).getTime();
+  if (!Number.isFinite(ts)) return undefined;
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(str) ? ts + 24 * 60 * 60 * 1000 - 1 : ts;
+}
+
+const encodeCursor = (c) => Buffer.from(JSON.stringify(c)).toString("base64url");
+function decodeCursor(v) {
+  try {
+    const c = JSON.parse(Buffer.from(String(v), "base64url").toString("utf-8"));
+    return c && typeof c.id === "string" && Number.isFinite(c.k) ? c : null;
+  } catch {
+    return null;
+  }
+}
+
+// opts: { q, track, car, cohort, course, game, eventId, from, to, pb, sort: "date"|"time", order: "asc"|"desc", limit, offset, cursor, full }
+// Without full (admin), rows are redacted and searches only match what the caller can see.
+function queryAttempts(opts = {}) {
+  const from = parseQueryDate(opts.from);
+  const to = parseQueryDate(opts.to, true);
+  if (from === undefined || to === undefined) return { ok: false, reason: "bad_date" };
+
+  const sort = opts.sort === "time" ? "time" : "date";
+  const order = opts.order === "asc" || opts.order === "desc" ? opts.order : (sort === "time" ? "asc" : "desc");
+  const limit = Math.min(Math.max(parseInt(opts.limit, 10) || ATTEMPT_PAGE_DEFAULT, 1), ATTEMPT_PAGE_MAX);
+
+  let cursor = null;
+  if (opts.cursor) {
+    cursor = decodeCursor(opts.cursor);
+    if (!cursor) return { ok: false, reason: "bad_cursor" };
+  }
+
+  // Start from the smallest indexed list that matches, then check the other filters per row
+  let base = attemptIndex.all;
+  const exact = [];
+  const redact = !opts.full && privacyOn();
+  for (const field of ATTEMPT_INDEX_FIELDS) {
+    const key = indexKey(opts[field]);
+    if (!key || (redact && field === "course" && settings.privacy?.hideCourse)) continue;
+    const list = attemptIndex[field].get(key) || [];
+    exact.push([field, key]);
+    if (list.length < base.length || exact.length === 1) base = list;
+  }
+
+  // Every search word has to appear somewhere in the row
+  const terms = indexKey(opts.q).split(/\s+/).filter(Boolean);
+  let list = base.filter(a => {
+    const meta = attemptMeta(a);
+    if (from !== null && meta.ts < from) return false;
+    if (to !== null && meta.ts > to) return false;
+    const hay = redact ? redactedHay(a) : meta.hay;
+    if (!terms.every(t => hay.includes(t))) return false;
+    return exact.every(([field, key]) => indexKey(a[field]) === key);
+  });
+
+  // PB only: each driver's fastest attempt per game + track within the filtered set
+  if (opts.pb) {
+    const best = new Map();
+    for (const a of list) {
+      if (!countsAsLap(a)) continue;
+      const meta = attemptMeta(a);
+      const cur = best.get(meta.driver);
+      if (!cur || meta.ms < attemptMeta(cur).ms) best.set(meta.driver, a);
+    }
+    const keep = new Set(best.values());
+    list = list.filter(a => keep.has(a));
+  }
+
+  // The lists are already in date order; only time sorting needs a sort
+  const sortKey = (a) => (sort === "time" ? attemptMeta(a).ms : attemptMeta(a).ts);
+  if (sort === "time") list.sort((a, b) => sortKey(a) - sortKey(b) || attemptMeta(a).ts - attemptMeta(b).ts);
+  if (order === "desc") list.reverse();
+
+  // A cursor resumes after the last row of the previous page, so laps logged
+  // in the meantime don't shift the pages the way an offset would
+  const dir = order === "asc" ? 1 : -1;
+  let start = Math.max(parseInt(opts.offset, 10) || 0, 0);
+  if (cursor) {
+    const at = list.findIndex(a => a.attemptId === cursor.id);
+    start = at !== -1 ? at + 1 : list.findIndex(a => (sortKey(a) - cursor.k) * dir > 0);
+    if (start === -1) start = list.length;
+  }
+
+  const items = list.slice(start, start + limit).map(a => viewScore(a, !!opts.full));
+  const last = list[start + items.length - 1];
+  const nextCursor = start + items.length < list.length && last
+    ? encodeCursor({ k: sortKey(last), id: last.attemptId })
+    : null;
+
+  return { ok: true, total: list.length, offset: start, limit, sort, order, nextCursor, items };
+}
+
+rebuildAttemptIndex();
+
+function broadcastCounts() {
+  const map = {};
+  for (const s of scores) map[s.eventId] = (map[s.eventId] || 0) + 1;
+  io.emit("eventCounts", map);
+}
+
+// -------------------- Core: log attempt + upsert best --------------------
+// `from` says where the lap came from (see Lap moderation); laps that break a
+// rule or come from an unverified source are held instead of posted
+function submitLap(raw, from = { source: "staff", trust: "staff" }) {
+  const clean = sanitiseScore(raw, from);
+  if (!clean?.attemptId) return { ok: false, reason: clean?.reason || "invalid" };
+
+  const flags = lapFlags(clean, from.trust);
+  if (flags.length) return holdLap(clean, flags, from);
+  return postLap(clean);
+}
+
+function postLap(clean) {
+  if (!linkLapDriver(clean)) return { ok: false, reason: "invalid" };
+
+  // Always log attempts for student search (ALL events)
+  const logged = !isDuplicateAttempt(clean);
+  const attemptId = logged ? clean.attemptId : undefined;
+  if (logged) {
+    attempts.push(clean);
+    indexAttempt(clean);
+    saveAttempts();
+    io.emit("attemptAdded", { attemptId: clean.attemptId });
+    recordHeatLap(clean);
+    recordQuickLap(clean);
+  }
+
+  const key = makeKey(clean);
+  const idx = scores.findIndex(s => makeKey(s) === key);
+
+  // The board changed, so the ratings on its game + track are replayed; the delta is what this lap did to the driver's
+  const ratingKey = getRatingKey(clean.game, clean.track, clean.driverId);
+  const rate = () => {
+    const before = ratings[ratingKey]?.rating ?? RATING_BASE;
+    recomputeFieldRatings(clean.game, clean.track);
+    return (ratings[ratingKey]?.rating ?? RATING_BASE) - before;
+  };
+
+  if (idx === -1) {
+    // New driver on this track
+    const row = { ...clean };
+    scores.push(row);
+    const ratingDelta = rate();
+
+    saveScores();
+    emitPrivate("scoreUpdate", full => viewScore(row, full));
+    broadcastCounts();
+    return { ok: true, mode: "added", ratingDelta, attemptId, driverId: clean.driverId };
+  }
+
+  const old = scores[idx];
+  if (timeToMs(clean.time) < timeToMs(old.time)) {
+    const row = { ...clean, id: old.id }; // keep row id stable
+    scores[idx] = row;
+    const ratingDelta = rate();
+
+    saveScores();
+    emitPrivate("scoreReplace", full => viewScore(row, full));
+    broadcastCounts();
+    return { ok: true, mode: "replaced", ratingDelta, attemptId, driverId: clean.driverId };
+  }
+
+  return { ok: false, reason: "not_better", attemptId, driverId: clean.driverId };
+}
+
+// -------------------- Lap moderation --------------------
+// Each lap is checked against the rule for its game + track (a rule without a
+// track covers the whole game): a plausible min/max time, and how far under
+// the field's median PB it may be. Laps that fail, and rig laps that weren't
+// sent with a per-rig key, wait in pending.json until staff approve them onto
+// the board or reject them. Rejected laps are kept as attempts with a
+// `rejected` reason; boards, ratings and stats skip them.
+const PENDING_MAX = 500;
+const MODERATION_DEFAULTS = {
+  enabled: true,
+  holdSharedKey: false, // also hold rig laps sent with the shared key
+  maxJumpPct: 25,       // % under the field median; a rule can override, 0 turns it off
+  minField: 5,          // drivers on the board before the median counts
+  rules: []             // { game, track, minTime, maxTime, maxJumpPct }
+};
+const MODERATION_RULES_MAX = 200;
+const LAP_FLAGS = ["unverified", "too_fast", "too_slow", "jump"];
+
+let pendingLaps = storage.load("pending", []);
+
+function savePending() { storage.save("pending", pendingLaps); }
+
+const getPending = (id) => pendingLaps.find(p => p.id === String(id || ""));
+
+function moderationSettings() {
+  return { ...MODERATION_DEFAULTS, ...settings.moderation };
+}
+
+// Rigs with their own key are trusted; the shared key only proves someone read the rig page
+function rigTrust(rigId) {
+  if (getRig(rigId)) return "rig";
+  return settings.rig?.key ? "shared" : "none";
+}
+
+// UDP telemetry carries no key and its rig id is whatever the packet says, so its
+// laps only get the rig's trust from the address that rig last proved with its key
+// (heartbeat, sign-in or lap upload)
+function telemetryTrust(rigId, address) {
+  const plain = (ip) => String(ip || "").replace(/^::ffff:/, "");
+  const proven = plain(rigStatus.get(rigId)?.ip);
+  return proven && proven === plain(address) ? rigTrust(rigId) : "none";
+}
+
+function moderationRule(game, track) {
+  const { rules } = moderationSettings();
+  const t = String(track || "").toLowerCase();
+  return rules.find(r => r.game === game && r.track.toLowerCase() === t) || rules.find(r => r.game === game && !r.track) || null;
+}
+
+// Median of the drivers' PBs on a game + track across events; null while the field is small
+function getFieldMedianTime(game, track) {
+  const t = String(track || "").toLowerCase();
+  const times = scores
+    .filter(s => !s.demo && s.game === game && s.track.toLowerCase() === t)
+    .map(s => timeToMs(s.time))
+    .filter(Number.isFinite)
+    .sort((a, b) => a - b);
+  if (times.length < moderationSettings().minField) return null;
+  const mid = Math.floor(times.length / 2);
+  return times.length % 2 ? times[mid] : Math.round((times[mid - 1] + times[mid]) / 2);
+}
+
+function lapFlags(lap, trust) {
+  const mod = moderationSettings();
+  if (!mod.enabled || lap.demo) return [];
+  const flags = [];
+  if (trust === "none" || (trust === "shared" && mod.holdSharedKey)) flags.push("unverified");
+
+  const ms = timeToMs(lap.time);
+  const rule = moderationRule(lap.game, lap.track);
+  if (rule?.minTime && ms < timeToMs(rule.minTime)) flags.push("too_fast");
+  if (rule?.maxTime && ms > timeToMs(rule.maxTime)) flags.push("too_slow");
+  const jump = rule?.maxJumpPct ?? mod.maxJumpPct;
+  const median = jump ? getFieldMedianTime(lap.game, lap.track) : null;
+  if (median && ms < median * (1 - jump / 100)) flags.push("jump");
+  return flags;
+}
+
+function viewPendingEntry(p) {
+  const median = getFieldMedianTime(p.lap.game, p.lap.track);
+  return { ...p, lap: viewScore(p.lap, true), median: median ? msToTime(median) : null, rule: moderationRule(p.lap.game, p.lap.track) };
+}
+
+const viewPending = () => pendingLaps.map(viewPendingEntry);
+const broadcastPending = () => io.to(ADMIN_ROOM).emit("pendingUpdate", viewPending());
+
+function holdLap(lap, flags, from) {
+  const same = pendingLaps.find(p => makeKey(p.lap) === makeKey(lap) && p.lap.time === lap.time);
+  if (same) return { ok: false, reason: "pending", pendingId: same.id, flags: same.flags, driverId: lap.driverId };
+  if (pendingLaps.length >= PENDING_MAX) return { ok: false, reason: "pending_full", flags, driverId: lap.driverId };
+
+  const { trust, ...source } = from;
+  const entry = { id: makeId(), lap, flags, trust, ...source, heldAt: new Date().toISOString() };
+  pendingLaps.push(entry);
+  savePending();
+  broadcastPending();
+  return { ok: false, reason: "pending", pendingId: entry.id, flags, driverId: lap.driverId };
+}
+
+// A held telemetry lap's trace was saved without an attempt; link it once the lap is decided
+function settleTrace(lap, patch) {
+  const trace = lap.traceId && traceIndex.find(t => t.id === lap.traceId);
+  if (!trace) return;
+  Object.assign(trace, patch);
+  saveTraceIndex();
+}
+
+function approvePending(id, actor) {
+  const entry = getPending(id);
+  if (!entry) return { ok: false, reason: "not_found" };
+  const event = getEventById(entry.lap.eventId);
+  if (!event) return { ok: false, reason: "unknown_event" };
+  // a closed board is frozen for held laps too, as it is for new ones
+  if (event.closedAt) return { ok: false, reason: "event_closed" };
+
+  pendingLaps = pendingLaps.filter(p => p !== entry);
+  savePending();
+  const result = postLap({ ...entry.lap });
+  settleTrace(entry.lap, { attemptId: result.attemptId, status: "submitted", reason: undefined });
+  audit(actor, "lapApprove", { ...lapAuditDetail(entry.lap, result), before: { flags: entry.flags } });
+  broadcastPending();
+  return { ok: true, mode: result.ok ? result.mode : result.reason, attemptId: result.attemptId };
+}
+
+function rejectPending(id, reason, actor) {
+  const entry = getPending(id);
+  if (!entry) return { ok: false, reason: "not_found" };
+
+  pendingLaps = pendingLaps.filter(p => p !== entry);
+  savePending();
+  const { newDriver, ...lap } = entry.lap;
+  const attempt = {
+    ...lap,
+    rejected: cleanStr(reason, 200) || entry.flags.join(", ") || "rejected",
+    rejectedBy: actor.username || actor.system || "",
+    rejectedAt: new Date().toISOString()
+  };
+  attempts.push(attempt);
+  indexAttempt(attempt);
+  saveAttempts();
+  io.emit("attemptAdded", { attemptId: attempt.attemptId });
+  settleTrace(entry.lap, { attemptId: attempt.attemptId, status: "rejected", reason: attempt.rejected });
+  audit(actor, "lapReject", { ...lapAuditDetail(entry.lap, { ok: false, reason: attempt.rejected, attemptId: attempt.attemptId }), before: { flags: entry.flags } });
+  broadcastPending();
+  return { ok: true, attemptId: attempt.attemptId };
+}
+
+// Rules use catalogue names, so they match laps after applyCatalogue has renamed them
+function cleanRule(r) {
+  const entry = catalogueIndex.get(catKey(cleanStr(r?.game)));
+  if (!entry) return { reason: "unknown_game" };
+  const rawTrack = cleanStr(r?.track);
+  const track = rawTrack ? entry.tracks.get(catKey(rawTrack))?.name || (entry.game.openTracks ? rawTrack : "") : "";
+  if (rawTrack && !track) return { reason: "unknown_track" };
+  const rule = { game: entry.game.name, track };
+  for (const field of ["minTime", "maxTime"]) {
+    const t = cleanStr(r?.[field], 16);
+    if (t && timeToMs(t) === Infinity) return { reason: "bad_time" };
+    if (t) rule[field] = msToTime(timeToMs(t));
+  }
+  if (rule.minTime && rule.maxTime && timeToMs(rule.minTime) >= timeToMs(rule.maxTime)) return { reason: "bad_time" };
+  if (r?.maxJumpPct !== undefined && r?.maxJumpPct !== null && r?.maxJumpPct !== "") {
+    const pct = clampNum(r.maxJumpPct, 0, 90);
+    if (pct === null) return { reason: "invalid" };
+    rule.maxJumpPct = Math.round(pct);
+  }
+  return { rule };
+}
+
+function updateModeration(patch, actor) {
+  const before = structuredClone(settings);
+  const next = moderationSettings();
+  for (const key of ["enabled", "holdSharedKey"]) if (typeof patch?.[key] === "boolean") next[key] = patch[key];
+  if (patch?.maxJumpPct !== undefined) {
+    const pct = clampNum(patch.maxJumpPct, 0, 90);
+    if (pct === null) return { ok: false, reason: "invalid" };
+    next.maxJumpPct = Math.round(pct);
+  }
+  if (patch?.minField !== undefined) {
+    const n = clampNum(patch.minField, 2, 100);
+    if (n === null) return { ok: false, reason: "invalid" };
+    next.minField = Math.round(n);
+  }
+  if (patch?.rules !== undefined) {
+    if (!Array.isArray(patch.rules) || patch.rules.length > MODERATION_RULES_MAX) return { ok: false, reason: "invalid" };
+    const rules = [];
+    for (const [index, raw] of patch.rules.entries()) {
+      const r = cleanRule(raw);
+      if (r.reason) return { ok: false, reason: r.reason, index };
+      if (rules.some(x => x.game === r.rule.game && x.track.toLowerCase() === r.rule.track.toLowerCase())) return { ok: false, reason: "duplicate_rule", index };
+      rules.push(r.rule);
+    }
+    next.rules = rules;
+  }
+  settings.moderation = next;
+  saveSettings();
+  broadcastSettings();
+  broadcastPending();
+  audit(actor, "moderationSettings", settingsDiff(before));
+  return { ok: true, moderation: next };
+}
+
+app.get("/api/pending", (req, res) => {
+  if (!reqCan(req, "laps")) return res.status(403).json({ ok: false, reason: "denied" });
+  res.json({ ok: true, moderation: moderationSettings(), pending: viewPending() });
+});
+
+// -------------------- Stewarding --------------------
+// Staff can invalidate any attempt or add a time penalty, always with a reason.
+// A penalised attempt keeps its lap time in `rawTime` and carries the penalised
+// `time`, so boards and ratings simply use it. The driver's row on that board is
+// then rebuilt from their remaining valid attempts and the ratings replayed.
+const PENALTY_MAX_SEC = 300;
+const STEWARD_FIELDS = ["time", "rawTime", "penaltyMs", "invalid", "stewardReason"];
+
+const stewardView = (a) => Object.fromEntries(STEWARD_FIELDS.filter(k => a[k] !== undefined).map(k => [k, a[k]]));
+
+// Puts the fastest counted attempt on one board (driver + game + track + event).
+// A row whose attempt was cleaned up stands on its own unless a counted lap beats it.
+// A board with no row (never set, or deleted by staff) only gets one back when the
+// lap just reinstated is the fastest there.
+function restoreBoardRow(key, reinstated = null) {
+  const best = attempts
+    .filter(a => countsAsLap(a) && makeKey(a) === key)
+    .reduce((x, a) => (!x || timeToMs(a.time) < timeToMs(x.time) ? a : x), null);
+  const idx = scores.findIndex(r => makeKey(r) === key);
+  const row = scores[idx];
+
+  if (row && !(row.attemptId && attempts.some(a => a.attemptId === row.attemptId)) && (!best || timeToMs(row.time) <= timeToMs(best.time))) return;
+  if (!best) {
+    if (!row) return;
+    scores.splice(idx, 1);
+    io.emit("deleteScore", { id: row.id });
+    return;
+  }
+  if (!row && best !== reinstated) return;
+  const next = { ...best, id: row?.id || makeId() };
+  if (row) scores[idx] = next;
+  else scores.push(next);
+  emitPrivate(row ? "scoreReplace" : "scoreUpdate", full => viewScore(next, full));
+}
+
+function stewardAttempt(attemptId, input, actor) {
+  const a = attempts.find(x => x.attemptId === String(attemptId || ""));
+  if (!a) return { ok: false, reason: "not_found" };
+  if (a.rejected) return { ok: false, reason: "rejected" };
+
+  const invalid = input?.invalid === true;
+  const sec = input?.penaltySec === undefined || input?.penaltySec === "" ? 0 : Number(input.penaltySec);
+  if (!Number.isFinite(sec) || sec < 0 || sec > PENALTY_MAX_SEC) return { ok: false, reason: "bad_penalty" };
+  const penaltyMs = Math.round(sec * 1000);
+  const reason = cleanStr(input?.reason, 200);
+  if ((invalid || penaltyMs) && !reason) return { ok: false, reason: "reason_required" };
+
+  const before = stewardView(a);
+  const wasCounted = countsAsLap(a);
+  const rawTime = a.rawTime || a.time;
+  for (const k of [...STEWARD_FIELDS.slice(1), "stewardedBy", "stewardedAt"]) delete a[k];
+  a.time = rawTime;
+  if (penaltyMs) Object.assign(a, { rawTime, penaltyMs, time: msToTime(timeToMs(rawTime) + penaltyMs) });
+  if (invalid) a.invalid = true;
+  if (invalid || penaltyMs) Object.assign(a, { stewardReason: reason, stewardedBy: actor.username || "", stewardedAt: new Date().toISOString() });
+  attemptMetaCache.delete(a);
   saveAttempts();
 
-  io.emit("clearAll");
-  broadcastCounts();
+  restoreBoardRow(makeKey(a), !wasCounted && countsAsLap(a) ? a : null);
+  saveScores();
+  recomputeRatings();
+  broadcastCounts();
+  io.emit("attemptAdded", { attemptId: a.attemptId });
+  audit(actor, invalid ? "lapInvalidate" : penaltyMs ? "lapPenalty" : "lapReinstate", {
+    target: `${a.first} ${a.last}`.trim(),
+    before,
+    after: stewardView(a),
+    attemptId: a.attemptId
+  });
+  return { ok: true, attempt: viewScore(a, true) };
+}
+
+// -------------------- Sectors (best splits + theoretical laps) --------------------
+// Grouped like the leaderboard (game + track + event). Only attempts with the
+// group's usual sector count are compared, so a track that later gains a
+// sector definition doesn't mix 3-sector and 4-sector laps. Penalised laps are
+// left out: their splits add up to the lap as driven, not the penalised time.
+function getSectorStats({ eventId = "", game = "", track = "", full = false } = {}) {
+  const groups = new Map();
+  for (const a of attempts) {
+    if (!countsAsLap(a) || a.penaltyMs || !a.sectors?.length) continue;
+    if (eventId && a.eventId !== eventId) continue;
+    if (game && a.game !== game) continue;
+    if (track && a.track.toLowerCase() !== track.toLowerCase()) continue;
+    const key = `${a.game}|${a.track.toLowerCase()}|${a.eventId}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(a);
+  }
+
+  return [...groups.values()].map((list) => {
+    const counts = {};
+    for (const a of list) counts[a.sectors.length] = (counts[a.sectors.length] || 0) + 1;
+    const n = Number(Object.entries(counts).sort((x, y) => y[1] - x[1])[0][0]);
+
+    const best = Array(n).fill(Infinity);
+    const bestBy = Array(n).fill(null);
+    const drivers = {};
+    for (const a of list) {
+      if (a.sectors.length !== n) continue;
+      const who = full ? a : redactPerson(a);
+      const d = drivers[a.driverId] ||= { driverId: a.driverId, first: who.first, last: who.last, best: Array(n).fill(Infinity), bestLap: Infinity };
+      d.bestLap = Math.min(d.bestLap, timeToMs(a.time));
+      a.sectors.forEach((sec, i) => {
+        const ms = timeToMs(sec);
+        if (ms < d.best[i]) d.best[i] = ms;
+        if (ms < best[i]) { best[i] = ms; bestBy[i] = `${who.first} ${who.last}`.trim(); }
+      });
+    }
+
+    const sum = (arr) => arr.reduce((x, y) => x + y, 0);
+    return {
+      game: list[0].game,
+      track: list[0].track,
+      eventId: list[0].eventId,
+      count: n,
+      best: best.map(msToTime),
+      bestBy,
+      theoretical: msToTime(sum(best)),
+      drivers: Object.values(drivers).map(d => ({
+        driverId: d.driverId,
+        first: d.first,
+        last: d.last,
+        best: d.best.map(msToTime),
+        ultimate: msToTime(sum(d.best)),
+        bestLap: msToTime(d.bestLap)
+      }))
+    };
+  });
+}
+
+// -------------------- Tournaments (qualifying + heats) --------------------
+// A tournament runs on one event's board for one game + track:
+//  setup -> qualifying (laps set inside the window count, best per driver, like
+//  the board) -> heats (bracket built from the seeds) -> finished.
+// Formats: "knockout" (head-to-head heats, byes for the top seeds when the field
+// isn't a power of two) or "groups" (group heats, the top `advance` of each go
+// into a knockout). Heat slots point at a seed or at a place in an earlier heat,
+// so closing a heat fills the next round on its own. A live heat takes its times
+// from laps the drivers submit (rigs included); staff can also type them in.
+const TOURNAMENT_FORMATS = ["knockout", "groups"];
+const TOURNAMENT_MAX_QUALIFIERS = 64;
+
+let tournaments = storage.load("tournaments", []);
+
+function saveTournaments() { storage.save("tournaments", tournaments); }
+
+const getTournament = (id) => tournaments.find(t => t.id === String(id || ""));
+
+// /bracket shows the tournament that is running, else the one finished last
+function currentTournament() {
+  const byUpdate = [...tournaments].sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  return byUpdate.find(t => t.stage === "qualifying" || t.stage === "heats") || byUpdate.find(t => t.stage === "finished") || byUpdate[0] || null;
+}
+
+// Same driver after merges
+const sameDriverId = (a, b) => !!a && !!b && (getDriver(a)?.id || a) === (getDriver(b)?.id || b);
+
+function sanitiseTournament(input, existing) {
+  const t = existing ? structuredClone(existing) : {
+    id: `t_${crypto.randomBytes(6).toString("base64url")}`,
+    stage: "setup",
+    seeds: [],
+    rounds: [],
+    createdAt: new Date().toISOString()
+  };
+  t.name = cleanName(input?.name ?? t.name).slice(0, 80) || "Tournament";
+  if (t.stage !== "setup") return { ok: true, tournament: t }; // only the name changes once it has started
+
+  const eventId = String(input?.eventId ?? t.eventId ?? "").trim() || getLiveEvent()?.id;
+  if (!getEventById(eventId)) return { ok: false, reason: "bad_event" };
+  const lap = { game: input?.game ?? t.game, track: input?.track ?? t.track };
+  if (!cleanName(lap.track)) return { ok: false, reason: "invalid" };
+  const rejected = applyCatalogue(lap);
+  if (rejected) return { ok: false, reason: rejected };
+
+  const format = TOURNAMENT_FORMATS.includes(input?.format) ? input.format : (t.format || "knockout");
+  const int = (v, min, max, dflt) => Math.min(Math.max(parseInt(v, 10) || dflt, min), max);
+  const qualifiers = int(input?.qualifiers ?? t.qualifiers, 2, TOURNAMENT_MAX_QUALIFIERS, 8);
+  const groupSize = int(input?.groupSize ?? t.groupSize, 2, 16, 4);
+  const advance = int(input?.advance ?? t.advance, 1, groupSize - 1, 2);
+  Object.assign(t, { eventId, game: lap.game, track: lap.track, format, qualifiers, groupSize, advance });
+  return { ok: true, tournament: t };
+}
+
+// Best lap per driver on the tournament's board, set inside the qualifying window
+function qualifyingStandings(t) {
+  const from = t.qualifying?.openedAt || "";
+  const to = t.qualifying?.closedAt || "9999";
+  const best = new Map();
+  for (const a of attempts) {
+    if (!countsAsLap(a) || a.eventId !== t.eventId || a.game !== t.game || a.track.toLowerCase() !== t.track.toLowerCase()) continue;
+    if (String(a.createdAt) < from || String(a.createdAt) > to) continue;
+    const id = getDriver(a.driverId)?.id || a.driverId;
+    const cur = best.get(id);
+    if (!cur || timeToMs(a.time) < timeToMs(cur.time)) best.set(id, { driverId: id, time: a.time, attemptId: a.attemptId });
+  }
+  return [...best.values()]
+    .sort((a, b) => timeToMs(a.time) - timeToMs(b.time))
+    .map((s, i) => ({ ...s, position: i + 1 }));
+}
+
+// 1 v 8, 4 v 5, 2 v 7, 3 v 6: the top two seeds can only meet in the final
+function bracketOrder(size) {
+  let order = [1, 2];
+  while (order.length < size) {
+    const n = order.length * 2 + 1;
+    order = order.flatMap(s => [s, n - s]);
+  }
+  return order;
+}
+
+function knockoutRoundName(heats) {
+  return heats === 1 ? "Final" : heats === 2 ? "Semi-finals" : heats === 4 ? "Quarter-finals" : `Round of ${heats * 2}`;
+}
+
+// Rounds of knockout heats for the given entrant slots (best first)
+function knockoutRounds(entrants, firstHeatNo = 1) {
+  const rounds = [];
+  if (entrants.length < 2) return rounds;
+  let size = 2;
+  while (size < entrants.length) size *= 2;
+  let slots = bracketOrder(size).map(seed => entrants[seed - 1] || { bye: true });
+  let heatNo = firstHeatNo;
+  while (slots.length > 1) {
+    const heats = [];
+    for (let i = 0; i < slots.length; i += 2) {
+      heats.push({ id: `h${heatNo++}`, slots: [slots[i], slots[i + 1]], advance: 1, status: "pending", results: {} });
+    }
+    rounds.push({ name: knockoutRoundName(heats.length), type: "knockout", heats });
+    slots = heats.map(h => ({ heat: h.id, place: 1 }));
+  }
+  return rounds;
+}
+
+function buildBracket(t, seeds) {
+  const seedSlots = seeds.map((_, i) => ({ seed: i + 1 }));
+  if (t.format === "knockout") return knockoutRounds(seedSlots);
+
+  // Groups are filled snake-wise so each gets a fair spread of seeds
+  const groupCount = Math.max(1, Math.ceil(seeds.length / t.groupSize));
+  const groups = Array.from({ length: groupCount }, (_, g) => ({
+    id: `g${g + 1}`,
+    name: `Group ${String.fromCharCode(65 + g)}`,
+    slots: [],
+    advance: t.advance,
+    status: "pending",
+    results: {}
+  }));
+  seedSlots.forEach((slot, i) => {
+    const lap = Math.floor(i / groupCount);
+    groups[lap % 2 ? groupCount - 1 - (i % groupCount) : i % groupCount].slots.push(slot);
+  });
+  for (const g of groups) g.advance = Math.min(t.advance, g.slots.length);
+  if (groupCount === 1) return [{ name: "Final", type: "group", heats: groups }];
+
+  // Every group winner first, then every runner-up, ... so group winners meet runners-up
+  const entrants = [];
+  for (let place = 1; place <= t.advance; place++) {
+    for (const g of groups) if (place <= g.advance) entrants.push({ heat: g.id, place });
+  }
+  return [{ name: "Groups", type: "group", heats: groups }, ...knockoutRounds(entrants)];
+}
+
+const allHeats = (t) => t.rounds.flatMap(r => r.heats);
+const findHeat = (t, heatId) => allHeats(t).find(h => h.id === heatId);
+
+// Drivers in finishing order: fastest heat time first, no time last (by seed)
+function heatRanking(t, h) {
+  const seedOf = (id) => t.seeds.findIndex(s => s.driverId === id);
+  return h.drivers.filter(Boolean).sort((a, b) =>
+    (timeToMs(h.results[a]?.time) - timeToMs(h.results[b]?.time)) || (seedOf(a) - seedOf(b)));
+}
+
+// undefined: still waiting for an earlier heat; null: nobody (a bye)
+function resolveSlot(t, slot) {
+  if (slot.bye) return null;
+  if (slot.seed) return t.seeds[slot.seed - 1]?.driverId ?? null;
+  const src = findHeat(t, slot.heat);
+  if (!src || src.status !== "done") return undefined;
+  return heatRanking(t, src)[slot.place - 1] ?? null;
+}
+
+// Fills heats from finished ones, walks byes through and finishes the tournament
+function advanceTournament(t) {
+  for (const round of t.rounds) {
+    for (const h of round.heats) {
+      if (h.status === "done") continue;
+      const resolved = h.slots.map(s => resolveSlot(t, s));
+      h.drivers = resolved.map(d => d ?? null);
+      h.waiting = resolved.some(d => d === undefined);
+      if (!h.waiting && h.drivers.filter(Boolean).length <= h.advance) {
+        h.status = "done";
+        h.bye = true;
+        h.closedAt = new Date().toISOString();
+      }
+    }
+  }
+  const final = t.rounds.at(-1)?.heats;
+  if (final?.length === 1 && final[0].status === "done") {
+    t.stage = "finished";
+    t.winnerId = heatRanking(t, final[0])[0] || null;
+    t.finishedAt ||= new Date().toISOString();
+  }
+}
+
+function touchTournament(t) {
+  t.updatedAt = new Date().toISOString();
+  saveTournaments();
+  emitPrivate("tournamentUpdate", full => viewTournament(t, full));
+}
+
+function saveTournament(input, actor) {
+  const existing = input?.id ? getTournament(input.id) : null;
+  if (input?.id && !existing) return { ok: false, reason: "not_found" };
+  const r = sanitiseTournament(input, existing);
+  if (!r.ok) return r;
+  const t = r.tournament;
+  if (existing) tournaments[tournaments.indexOf(existing)] = t;
+  else tournaments.unshift(t);
+  touchTournament(t);
+  audit(actor, "tournamentSave", { target: t.id, before: existing ? { name: existing.name, format: existing.format, track: existing.track } : null, after: { name: t.name, format: t.format, game: t.game, track: t.track, qualifiers: t.qualifiers } });
+  return { ok: true, tournament: t };
+}
+
+// Stage controls: openQualifying, closeQualifying (seeds + bracket) and reset (back to setup)
+function setTournamentStage(id, action, actor) {
+  const t = getTournament(id);
+  if (!t) return { ok: false, reason: "not_found" };
+  const now = new Date().toISOString();
+
+  if (action === "openQualifying") {
+    if (t.stage !== "setup") return { ok: false, reason: "bad_stage" };
+    t.stage = "qualifying";
+    t.qualifying = { openedAt: now };
+  } else if (action === "closeQualifying") {
+    if (t.stage !== "qualifying") return { ok: false, reason: "bad_stage" };
+    const seeds = qualifyingStandings({ ...t, qualifying: { ...t.qualifying, closedAt: now } }).slice(0, t.qualifiers);
+    if (seeds.length < 2) return { ok: false, reason: "not_enough_drivers" };
+    t.qualifying.closedAt = now;
+    t.seeds = seeds.map((s, i) => ({ seed: i + 1, driverId: s.driverId, time: s.time, attemptId: s.attemptId }));
+    t.rounds = buildBracket(t, t.seeds);
+    t.stage = "heats";
+    advanceTournament(t);
+  } else if (action === "reset") {
+    Object.assign(t, { stage: "setup", seeds: [], rounds: [], qualifying: null, winnerId: null, finishedAt: null });
+  } else {
+    return { ok: false, reason: "invalid" };
+  }
+
+  touchTournament(t);
+  audit(actor, "tournamentStage", { target: t.id, after: { action, stage: t.stage, seeds: t.seeds.length } });
+  return { ok: true, tournament: t };
+}
+
+// Heat controls: start (laps count from now), results (typed times), close (with typed times), reopen
+function updateHeat(id, heatId, action, times, actor) {
+  const t = getTournament(id);
+  if (!t) return { ok: false, reason: "not_found" };
+  const h = findHeat(t, String(heatId || ""));
+  if (!h) return { ok: false, reason: "no_heat" };
+  if (t.stage !== "heats" && action !== "reopen") return { ok: false, reason: "bad_stage" };
+  const now = new Date().toISOString();
+
+  if (action === "start") {
+    if (h.status !== "pending" || h.waiting) return { ok: false, reason: "not_ready" };
+    h.status = "live";
+    h.startedAt = now;
+  } else if (action === "results" || action === "close") {
+    // Typed times (blank clears one) are checked before anything is saved
+    if (h.status === "done" || h.waiting) return { ok: false, reason: "not_ready" };
+    const typed = Object.entries(times || {}).filter(([driverId]) => h.drivers.includes(driverId));
+    const bad = typed.find(([, time]) => String(time ?? "").trim() && timeToMs(String(time).trim()) === Infinity);
+    if (bad) return { ok: false, reason: "bad_time", driverId: bad[0] };
+    for (const [driverId, time] of typed) {
+      const clean = String(time ?? "").trim();
+      if (!clean) delete h.results[driverId];
+      else if (h.results[driverId]?.time !== clean) h.results[driverId] = { time: clean, source: "manual", at: now };
+    }
+    if (action === "close") {
+      if (!h.drivers.some(d => h.results[d])) return { ok: false, reason: "no_results" };
+      h.status = "done";
+      h.closedAt = now;
+    }
+  } else if (action === "reopen") {
+    if (h.status !== "done" || h.bye) return { ok: false, reason: "not_ready" };
+    // Only while nothing downstream has been raced
+    const next = allHeats(t).filter(x => x.slots.some(s => s.heat === h.id));
+    if (next.some(x => x.status !== "pending" || Object.keys(x.results).length)) return { ok: false, reason: "already_advanced" };
+    h.status = "live";
+    h.closedAt = null;
+    Object.assign(t, { stage: "heats", winnerId: null, finishedAt: null });
+  } else {
+    return { ok: false, reason: "invalid" };
+  }
+
+  advanceTournament(t);
+  touchTournament(t);
+  audit(actor, "tournamentHeat", { target: `${t.id}/${h.id}`, after: { action, status: h.status, results: h.results } });
+  return { ok: true, tournament: t, heat: h };
+}
+
+function deleteTournament(id, actor) {
+  const t = getTournament(id);
+  if (!t) return { ok: false, reason: "not_found" };
+  tournaments = tournaments.filter(x => x !== t);
+  saveTournaments();
+  io.emit("tournamentDeleted", { id: t.id });
+  audit(actor, "tournamentDelete", { target: t.id, before: { name: t.name, stage: t.stage } });
+  return { ok: true };
+}
+
+// Called for every logged lap: qualifying standings move, and a driver in a
+// live heat on this game + track gets their fastest lap since the heat started
+function recordHeatLap(lap) {
+  for (const t of tournaments) {
+    if (t.game !== lap.game || t.track.toLowerCase() !== lap.track.toLowerCase()) continue;
+    if (t.stage === "qualifying" && t.eventId === lap.eventId) emitPrivate("tournamentUpdate", full => viewTournament(t, full));
+    if (t.stage !== "heats") continue;
+    for (const h of allHeats(t)) {
+      if (h.status !== "live" || String(lap.createdAt) < String(h.startedAt)) continue;
+      const driverId = h.drivers.find(d => sameDriverId(d, lap.driverId));
+      if (!driverId) continue;
+      const cur = h.results[driverId];
+      if (cur && timeToMs(cur.time) <= timeToMs(lap.time)) continue;
+      h.results[driverId] = { time: lap.time, source: "lap", attemptId: lap.attemptId, at: lap.createdAt };
+      touchTournament(t);
+    }
+  }
+}
+
+// Names come from the driver registry (so renames show) and go through the privacy rules
+function viewTournament(t, full) {
+  const person = (driverId) => {
+    if (!driverId) return null;
+    const d = getDriver(driverId);
+    const p = { driverId: d?.id || driverId, first: d?.first || "?", last: d?.last || "", cohort: d?.cohort || "Guest" };
+    return full ? p : redactPerson(p);
+  };
+  const seedOf = (id) => t.seeds.find(s => s.driverId === id)?.seed ?? null;
+  return {
+    ...t,
+    eventName: getEventById(t.eventId)?.name,
+    seeds: t.seeds.map(s => ({ ...s, ...person(s.driverId) })),
+    standings: t.stage === "qualifying" ? qualifyingStandings(t).map(s => ({ ...s, ...person(s.driverId) })) : undefined,
+    winner: person(t.winnerId),
+    rounds: t.rounds.map(r => ({
+      ...r,
+      heats: r.heats.map(h => {
+        const ranking = h.status === "done" ? heatRanking(t, h) : [];
+        return {
+          ...h,
+          drivers: (h.drivers || []).map(id => id && {
+            ...person(id),
+            seed: seedOf(id),
+            time: h.results[id]?.time || null,
+            source: h.results[id]?.source || null,
+            place: ranking.indexOf(id) + 1 || null,
+            advanced: h.status === "done" && ranking.indexOf(id) > -1 && ranking.indexOf(id) < h.advance
+          })
+        };
+      })
+    }))
+  };
+}
+
+// -------------------- Quick-lap challenge --------------------
+// A timed hot-lap window on one game + track (optionally one car). Laps the
+// server receives while it is open count toward the challenge board, up to the
+// attempt limit per driver; the main board takes every lap as usual. A timer
+// closes it and announces the winner. The state lives in settings.quickLap, so
+// a restart picks the countdown back up (or closes a challenge that ran out).
+const QUICKLAP_MIN_SEC = 30;
+const QUICKLAP_MAX_SEC = 4 * 60 * 60;
+const QUICKLAP_MAX_ATTEMPTS = 50;
+const QUICKLAP_BOARD_MAX = 20;
+let quickLapTimer = null;
+
+// older builds only stored a flag and free-form params
+if (settings.quickLap && !settings.quickLap.startedAt) settings.quickLap = { enabled: false };
+
+const quickLap = () => settings.quickLap || { enabled: false };
+const quickLapOpen = () => !!quickLap().enabled && tsOf(quickLap().endsAt) > Date.now();
+
+// Best counted lap per driver, fastest first
+function quickLapBoard(q = quickLap()) {
+  const counted = new Set((q.laps || []).map(l => l.attemptId));
+  const best = new Map();
+  for (const a of attempts) {
+    if (!counted.has(a.attemptId) || !countsAsLap(a)) continue;
+    const id = getDriver(a.driverId)?.id || a.driverId;
+    const cur = best.get(id);
+    const used = (cur?.attempts || 0) + 1;
+    if (!cur || timeToMs(a.time) < timeToMs(cur.time)) {
+      best.set(id, { driverId: id, first: a.first, last: a.last, cohort: a.cohort, course: a.course, car: a.car, time: a.time, attempts: used });
+    } else {
+      cur.attempts = used;
+    }
+  }
+  return [...best.values()]
+    .sort((a, b) => timeToMs(a.time) - timeToMs(b.time))
+    .map((r, i) => ({ position: i + 1, ...r }));
+}
+
+function viewQuickLap(full) {
+  const q = quickLap();
+  const serverTime = new Date().toISOString();
+  if (!q.startedAt) return { active: false, serverTime };
+  const board = quickLapBoard(q);
+  const view = (r) => (full || !r ? r : redactPerson(r));
+  return {
+    active: quickLapOpen(),
+    id: q.id,
+    name: q.name,
+    game: q.game,
+    track: q.track,
+    car: q.car,
+    attemptLimit: q.attemptLimit,
+    startedAt: q.startedAt,
+    endsAt: q.endsAt,
+    closedAt: q.closedAt,
+    serverTime,
+    entrants: board.length,
+    laps: q.laps.length,
+    board: board.slice(0, QUICKLAP_BOARD_MAX).map(view),
+    winner: view(q.winner)
+  };
+}
+
+const broadcastQuickLap = () => emitPrivate("quickLapUpdate", full => viewQuickLap(full));
+
+function armQuickLapTimer() {
+  clearTimeout(quickLapTimer);
+  if (!quickLap().enabled) return;
+  quickLapTimer = setTimeout(() => closeQuickLap(SCHEDULER_ACTOR), Math.max(0, tsOf(quickLap().endsAt) - Date.now()));
+}
+
+function startQuickLap(input, actor) {
+  if (quickLapOpen()) return { ok: false, reason: "already_running" };
+  const lap = { game: cleanStr(input?.game), track: cleanName(input?.track), car: cleanName(input?.car) };
+  if (!lap.game || !lap.track) return { ok: false, reason: "invalid" };
+  const rejected = applyCatalogue(lap);
+  if (rejected) return { ok: false, reason: rejected };
+  const durationSec = Math.round(Number(input?.durationSec));
+  if (!(durationSec >= QUICKLAP_MIN_SEC && durationSec <= QUICKLAP_MAX_SEC)) return { ok: false, reason: "bad_duration" };
+  const attemptLimit = Math.trunc(clampNum(input?.attemptLimit ?? 0, 0, QUICKLAP_MAX_ATTEMPTS) ?? 0);
+
+  const before = structuredClone(settings);
+  const now = Date.now();
+  settings.quickLap = {
+    enabled: true,
+    id: `ql_${crypto.randomBytes(6).toString("base64url")}`,
+    name: cleanName(input?.name).slice(0, 80) || `Quick Lap • ${lap.track}`,
+    game: lap.game,
+    track: lap.track,
+    car: lap.car || "",
+    durationSec,
+    attemptLimit,
+    startedAt: new Date(now).toISOString(),
+    endsAt: new Date(now + durationSec * 1000).toISOString(),
+    laps: []
+  };
+  saveSettings();
+  armQuickLapTimer();
+  broadcastQuickLap();
+  audit(actor, "quickLapStart", settingsDiff(before));
+  return { ok: true, quickLap: viewQuickLap(true) };
+}
+
+// Closes the window (on time, or early from the admin page) and names the winner
+function closeQuickLap(actor) {
+  const q = quickLap();
+  if (!q.enabled) return { ok: false, reason: "not_running" };
+  clearTimeout(quickLapTimer);
+  const board = quickLapBoard(q);
+  const early = tsOf(q.endsAt) > Date.now();
+  q.enabled = false;
+  q.closedAt = new Date().toISOString();
+  q.winner = board[0] || null;
+  saveSettings();
+  broadcastQuickLap();
+  emitPrivate("quickLapWinner", full => ({
+    id: q.id,
+    name: q.name,
+    track: q.track,
+    car: q.car,
+    entrants: board.length,
+    winner: full || !q.winner ? q.winner : redactPerson(q.winner)
+  }));
+  audit(actor, "quickLapClose", {
+    target: q.name,
+    after: { winner: q.winner ? `${q.winner.first} ${q.winner.last}` : null, time: q.winner?.time, entrants: board.length, early }
+  });
+  return { ok: true };
+}
+
+// Every logged attempt comes through here; only laps inside the window on the
+// challenge's track (and car) count, and only a driver's first attemptLimit
+function recordQuickLap(a) {
+  const q = quickLap();
+  if (!quickLapOpen()) return;
+  if (a.game !== q.game || String(a.track).toLowerCase() !== q.track.toLowerCase()) return;
+  if (q.car && String(a.car).toLowerCase() !== q.car.toLowerCase()) return;
+  const driverId = getDriver(a.driverId)?.id || a.driverId;
+  if (q.attemptLimit && q.laps.filter(l => l.driverId === driverId).length >= q.attemptLimit) return;
+  q.laps.push({ attemptId: a.attemptId, driverId });
+  saveSettings();
+  broadcastQuickLap();
+}
+
+app.get("/api/quicklap", (req, res) => {
+  res.json({ ok: true, ...viewQuickLap(reqCan(req, "view")) });
+});
+
+// -------------------- Stream overlays --------------------
+// /overlay pages are OBS browser sources. URL parameters pick the overlay and its
+// options; settings.overlay is the live control from the admin page: everything
+// on or off air, each overlay shown or hidden, which one a page without ?type=
+// shows, the event and the rig to follow. It reaches the pages with settingsUpdate.
+const OVERLAY_TYPES = ["pb", "ticker", "driver", "timer"];
+
+function overlaySettings() {
+  const o = settings.overlay || {};
+  return {
+    show: o.show !== false,
+    current: OVERLAY_TYPES.includes(o.current) ? o.current : "ticker",
+    visible: Object.fromEntries(OVERLAY_TYPES.map(t => [t, o.visible?.[t] !== false])),
+    eventId: o.eventId || "",
+    rigId: o.rigId || "",
+    title: o.title || ""
+  };
+}
+
+function updateOverlay(patch, actor) {
+  const before = structuredClone(settings);
+  const next = overlaySettings();
+  if (typeof patch?.show === "boolean") next.show = patch.show;
+  if (patch?.current !== undefined) {
+    if (!OVERLAY_TYPES.includes(patch.current)) return { ok: false, reason: "invalid" };
+    next.current = patch.current;
+  }
+  for (const t of OVERLAY_TYPES) {
+    if (typeof patch?.visible?.[t] === "boolean") next.visible[t] = patch.visible[t];
+  }
+  if (patch?.eventId !== undefined) {
+    const id = cleanStr(patch.eventId);
+    if (id && !getEventById(id)) return { ok: false, reason: "not_found" };
+    next.eventId = id;
+  }
+  if (patch?.rigId !== undefined) next.rigId = cleanStr(patch.rigId, 48);
+  if (patch?.title !== undefined) next.title = cleanStr(patch.title, 80);
+  settings.overlay = next;
+  saveSettings();
+  broadcastSettings();
+  audit(actor, "overlay", settingsDiff(before));
+  return { ok: true, overlay: next };
+}
+
+// -------------------- Signage screens --------------------
+// Each TV opens /screen/<id>; the id registers the screen the first time it
+// connects. Staff build playlists of scenes (leaderboard, ratings, recent PBs,
+// track map, queue QR, sponsor slide), each with its own duration, and assign
+// one per screen. Screens play their playlist themselves and get it again
+// whenever it changes; the admin page sees which scene each one is showing.
+const SCENE_TYPES = ["leaderboard", "ratings", "recent", "map", "queue", "sponsor"];
+const SCENE_MIN_SEC = 5;
+const SCENE_MAX_SEC = 600;
+const PLAYLIST_MAX_SCENES = 30;
+const SCREENS_MAX = 100;
+const SCREEN_ID_RE = /^[a-z0-9][a-z0-9_-]{0,47}$/i;
+
+let screens = storage.load("screens", []);
+let playlists = storage.load("playlists", []);
+const screenStatus = new Map(); // screenId -> { lastSeen, ip, scene }
+
+function saveScreens() { storage.save("screens", screens); }
+function savePlaylists() { storage.save("playlists", playlists); }
+
+const getScreen = (id) => screens.find(s => s.id === id);
+const getPlaylist = (id) => playlists.find(p => p.id === id);
+const screenRoom = (id) => `screen:${id}`;
+const screenOnline = (id) => (io.sockets.adapter.rooms.get(screenRoom(id))?.size || 0) > 0;
+
+// Options depend on the scene type; anything else is dropped
+function cleanScene(input) {
+  const type = String(input?.type || "");
+  if (!SCENE_TYPES.includes(type)) return { reason: "bad_scene" };
+  const durationSec = Math.round(Number(input?.durationSec));
+  if (!(durationSec >= SCENE_MIN_SEC && durationSec <= SCENE_MAX_SEC)) return { reason: "bad_duration" };
+
+  const scene = { type, durationSec, title: cleanStr(input?.title, 80) };
+  if (type === "leaderboard" || type === "recent") {
+    scene.eventId = cleanStr(input?.eventId); // "" follows the live event
+    if (scene.eventId && !getEventById(scene.eventId)) return { reason: "unknown_event" };
+  }
+  if (type === "leaderboard" || type === "ratings" || type === "recent") {
+    scene.game = cleanStr(input?.game);
+    scene.limit = Math.round(clampNum(input?.limit ?? 10, 3, 30) ?? 10);
+  }
+  if (type === "leaderboard" || type === "ratings" || type === "map") scene.track = cleanName(input?.track);
+  if (type === "sponsor") {
+    scene.imageUrl = cleanStr(input?.imageUrl, 300);
+    if (scene.imageUrl && !/^(https?:\/\/|\/)[^\s"'<>]*$/i.test(scene.imageUrl)) return { reason: "bad_url" };
+    scene.text = cleanStr(input?.text, 200);
+    if (!scene.imageUrl && !scene.text && !scene.title) return { reason: "invalid" };
+  }
+  return { scene };
+}
+
+function screenConfig(id) {
+  const screen = getScreen(id);
+  return { screen: screen ? { id: screen.id, name: screen.name } : { id, name: id }, playlist: getPlaylist(screen?.playlistId) || null };
+}
+
+function viewSignage() {
+  return {
+    playlists,
+    screens: screens.map(s => {
+      const st = screenStatus.get(s.id) || {};
+      return { ...s, playlistName: getPlaylist(s.playlistId)?.name || "", online: screenOnline(s.id), lastSeen: st.lastSeen || null, ip: st.ip || "", scene: st.scene ?? null };
+    })
+  };
+}
+
+// Staff get the lists; every connected screen gets its (possibly new) playlist
+function broadcastSignage() {
+  io.to(ADMIN_ROOM).emit("signageUpdate", viewSignage());
+  for (const s of screens) io.to(screenRoom(s.id)).emit("screenConfig", screenConfig(s.id));
+}
+
+// Called when a /screen page connects. Unknown ids are registered (up to SCREENS_MAX).
+function screenHello(id, ip) {
+  if (!SCREEN_ID_RE.test(id)) return { ok: false, reason: "bad_id" };
+  if (!getScreen(id)) {
+    if (screens.length >= SCREENS_MAX) return { ok: false, reason: "too_many" };
+    screens.push({ id, name: id, playlistId: "", createdAt: new Date().toISOString() });
+    saveScreens();
+  }
+  screenStatus.set(id, { ...screenStatus.get(id), lastSeen: new Date().toISOString(), ip });
+  return { ok: true };
+}
+
+function savePlaylist(input, actor) {
+  const name = cleanName(input?.name).slice(0, 60);
+  if (!name) return { ok: false, reason: "invalid" };
+  const list = Array.isArray(input?.scenes) ? input.scenes : [];
+  if (!list.length || list.length > PLAYLIST_MAX_SCENES) return { ok: false, reason: "bad_scenes" };
+  const scenes = [];
+  for (const [i, raw] of list.entries()) {
+    const r = cleanScene(raw);
+    if (r.reason) return { ok: false, reason: r.reason, index: i };
+    scenes.push(r.scene);
+  }
+
+  let playlist = input?.id ? getPlaylist(String(input.id)) : null;
+  if (input?.id && !playlist) return { ok: false, reason: "not_found" };
+  const before = playlist && structuredClone(playlist);
+  if (playlist) {
+    Object.assign(playlist, { name, scenes, updatedAt: new Date().toISOString() });
+  } else {
+    playlist = { id: `pl_${crypto.randomBytes(6).toString("base64url")}`, name, scenes, createdAt: new Date().toISOString() };
+    playlists.push(playlist);
+  }
+  savePlaylists();
+  broadcastSignage();
+  audit(actor, before ? "playlistUpdate" : "playlistCreate", { target: name, before, after: playlist });
+  return { ok: true, playlist };
+}
+
+// Screens playing it go back to their idle card
+function deletePlaylist(id, actor) {
+  const playlist = getPlaylist(id);
+  if (!playlist) return { ok: false, reason: "not_found" };
+  playlists = playlists.filter(p => p !== playlist);
+  for (const s of screens) if (s.playlistId === id) s.playlistId = "";
+  savePlaylists();
+  saveScreens();
+  broadcastSignage();
+  audit(actor, "playlistDelete", { target: playlist.name, before: playlist });
+  return { ok: true };
+}
+
+// Renames a screen or assigns its playlist; staff can also add a screen before the TV is set up
+function saveScreen(input, actor) {
+  const id = cleanStr(input?.id, 48);
+  if (!SCREEN_ID_RE.test(id)) return { ok: false, reason: "bad_id" };
+  const playlistId = input?.playlistId === undefined ? undefined : String(input.playlistId || "");
+  if (playlistId && !getPlaylist(playlistId)) return { ok: false, reason: "not_found" };
+
+  let screen = getScreen(id);
+  const before = screen && structuredClone(screen);
+  if (!screen) {
+    if (screens.length >= SCREENS_MAX) return { ok: false, reason: "too_many" };
+    screen = { id, name: id, playlistId: "", createdAt: new Date().toISOString() };
+    screens.push(screen);
+  }
+  const name = cleanName(input?.name).slice(0, 60);
+  if (name) screen.name = name;
+  if (playlistId !== undefined) screen.playlistId = playlistId;
+  saveScreens();
+  broadcastSignage();
+  audit(actor, before ? "screenUpdate" : "screenCreate", { target: id, before, after: screen });
+  return { ok: true, screen };
+}
+
+function deleteScreen(id, actor) {
+  const screen = getScreen(id);
+  if (!screen) return { ok: false, reason: "not_found" };
+  screens = screens.filter(s => s !== screen);
+  screenStatus.delete(id);
+  saveScreens();
+  io.to(screenRoom(id)).emit("screenConfig", screenConfig(id));
+  broadcastSignage();
+  audit(actor, "screenDelete", { target: id, before: screen });
+  return { ok: true };
+}
+
+app.get("/api/signage", (req, res) => {
+  if (!reqCan(req, "view")) return res.status(403).json({ ok: false, reason: "denied" });
+  res.json({ ok: true, ...viewSignage() });
+});
+
+// Screen pages in preview mode load their playlist here instead of registering
+app.get("/api/signage/screens/:id", (req, res) => {
+  if (!getScreen(req.params.id)) return res.status(404).json({ ok: false, reason: "not_found" });
+  res.json({ ok: true, ...screenConfig(req.params.id) });
+});
+
+app.get("/api/signage/playlists/:id", (req, res) => {
+  const playlist = getPlaylist(req.params.id);
+  if (!playlist) return res.status(404).json({ ok: false, reason: "not_found" });
+  res.json({ ok: true, playlist });
+});
+
+// -------------------- Audit log + undo --------------------
+// Every admin, account and rig action is appended to audit.jsonl (never rewritten):
+// who did it, what, when, and what it changed. Destructive actions also write a
+// snapshot of everything they removed, which can be restored until it expires.
+const AUDIT_FILE = path.join(__dirname, "audit.jsonl");
+const AUDIT_MEMORY = 2000;  // newest entries kept in memory for the admin view
+const AUDIT_ROOM = "audit";
+const SNAPSHOTS_DIR = path.join(__dirname, "snapshots");
+const SNAPSHOT_INDEX_FILE = path.join(SNAPSHOTS_DIR, "index.json");
+const UNDO_RETENTION_MS = (Number(process.env.UNDO_RETENTION_HOURS) || 72) * 60 * 60 * 1000;
+
+function loadAuditTail() {
+  let lines = [];
+  try { lines = fs.readFileSync(AUDIT_FILE, "utf-8").split("\n").filter(Boolean).slice(-AUDIT_MEMORY); } catch {}
+  return lines.map(line => { try { return JSON.parse(line); } catch { return null; } }).filter(Boolean);
+}
+
+let auditLog = loadAuditTail();
+let snapshotIndex = loadJson(SNAPSHOT_INDEX_FILE, []);
+
+function saveSnapshotIndex() {
+  saveJson(SNAPSHOT_INDEX_FILE, snapshotIndex);
+}
+
+function audit(actor, action, detail = {}) {
+  const entry = { id: makeId(), at: new Date().toISOString(), actor, action, ...detail };
+  try {
+    fs.appendFileSync(AUDIT_FILE, JSON.stringify(entry) + "\n", "utf-8");
+  } catch (e) {
+    console.error("Audit write failed:", e);
+  }
+  auditLog.push(entry);
+  if (auditLog.length > AUDIT_MEMORY) auditLog.splice(0, auditLog.length - AUDIT_MEMORY);
+  io.to(AUDIT_ROOM).emit("auditAdded", entry);
+  return entry;
+}
+
+function actorFor(user, ip) {
+  return user ? { username: user.username, role: user.role } : { ip };
+}
+const socketActor = (socket) => actorFor(getSession(socket.data.token)?.user, socket.handshake.address);
+const reqActor = (req) => actorFor(getSession(bearerToken(req))?.user, req.ip);
+const rigActor = (rigId, ip) => ({ rig: rigId || "unknown", ...(ip ? { ip } : {}) });
+const auditSocket = (socket, action, detail) => audit(socketActor(socket), action, detail);
+
+// Lap submissions are logged with what was sent and what the board did with it
+function lapAuditDetail(lap, result) {
+  const l = lap || {};
+  return {
+    target: [l.first, l.last].filter(Boolean).join(" ").slice(0, 80),
+    after: { time: l.time, game: l.game, track: l.track, car: l.car },
+    result: result.ok ? result.mode : result.reason,
+    attemptId: result.attemptId
+  };
+}
+
+// Top-level settings keys that changed, old and new. Rig keys only show their last 4 characters.
+function settingsDiff(before) {
+  const mask = (k, v) => (k === "rig" && v?.key ? { ...v, key: `***${String(v.key).slice(-4)}` } : v);
+  const diff = { before: {}, after: {} };
+  for (const k of new Set([...Object.keys(before), ...Object.keys(settings)])) {
+    if (JSON.stringify(before[k]) === JSON.stringify(settings[k])) continue;
+    diff.before[k] = mask(k, before[k]);
+    diff.after[k] = mask(k, settings[k]);
+  }
+  return diff;
+}
+
+const snapshotDir = (id) => path.join(SNAPSHOTS_DIR, id);
+
+// Writes what a destructive action removed and logs the action. Trace files were already
+// moved into the snapshot folder by pruneTraces. Returns the snapshot id (null if nothing was removed).
+function recordRemoval(snapshotId, action, actor, perm, target, removed) {
+  const counts = Object.fromEntries(Object.entries(removed).map(([k, list]) => [k, list.length]));
+  let id = null;
+  if (Object.values(counts).some(Boolean)) {
+    try {
+      fs.mkdirSync(snapshotDir(snapshotId), { recursive: true });
+      fs.writeFileSync(path.join(snapshotDir(snapshotId), "data.json.gz"), zlib.gzipSync(JSON.stringify(removed)));
+      const at = new Date();
+      snapshotIndex.push({ id: snapshotId, at: at.toISOString(), expiresAt: new Date(at.getTime() + UNDO_RETENTION_MS).toISOString(), action, target, actor, perm, counts });
+      saveSnapshotIndex();
+      id = snapshotId;
+    } catch (e) {
+      console.error("Snapshot write failed:", e);
+    }
+  }
+  audit(actor, action, { target, before: counts, after: { scores: scores.length, attempts: attempts.length }, snapshotId: id });
+  return id;
+}
+
+function undoSnapshot(id, actor) {
+  const meta = snapshotIndex.find(s => s.id === id);
+  if (!meta) return { ok: false, reason: "not_found" };
+  if (meta.undoneAt) return { ok: false, reason: "already_undone" };
+  if (new Date(meta.expiresAt).getTime() < Date.now()) return { ok: false, reason: "expired" };
+
+  let data;
+  try {
+    data = JSON.parse(zlib.gunzipSync(fs.readFileSync(path.join(snapshotDir(id), "data.json.gz"))).toString("utf-8"));
+  } catch {
+    return { ok: false, reason: "snapshot_missing" };
+  }
+
+  // Drivers may have been merged or renamed since the snapshot was taken
+  for (const row of [...(data.scores || []), ...(data.attempts || []), ...(data.traces || [])]) assignDriver(row);
+  saveDrivers();
+
+  // Rows are merged back with the usual best-per-driver rule: a time posted since
+  // the removal stays if it's faster than the restored one
+  let restoredScores = 0;
+  let keptNewer = 0;
+  for (const row of data.scores || []) {
+    const idx = scores.findIndex(s => makeKey(s) === makeKey(row));
+    if (idx === -1) {
+      scores.push(row);
+      restoredScores++;
+    } else if (timeToMs(row.time) < timeToMs(scores[idx].time)) {
+      scores[idx] = row;
+      restoredScores++;
+    } else {
+      keptNewer++;
+    }
+  }
+
+  const attemptIds = new Set(attempts.map(a => a.attemptId));
+  const backAttempts = (data.attempts || []).filter(a => !attemptIds.has(a.attemptId));
+  attempts.push(...backAttempts);
+  rebuildAttemptIndex();
+
+  const traceIds = new Set(traceIndex.map(t => t.id));
+  let restoredTraces = 0;
+  for (const t of data.traces || []) {
+    if (traceIds.has(t.id)) continue;
+    try {
+      fs.renameSync(path.join(snapshotDir(id), `${t.id}.json.gz`), path.join(TRACES_DIR, `${t.id}.json.gz`));
+      traceIndex.push(t);
+      restoredTraces++;
+    } catch {}
+  }
+  if (restoredTraces) saveTraceIndex();
+
+  saveScores();
+  saveAttempts();
+  recomputeRatings();
+  emitPrivate("loadScores", full => viewScores(scores, full));
+  io.emit("attemptAdded", {});
+  broadcastCounts();
+
+  meta.undoneAt = new Date().toISOString();
+  meta.undoneBy = actor;
+  saveSnapshotIndex();
+  fs.rmSync(snapshotDir(id), { recursive: true, force: true });
+
+  const result = { restoredScores, restoredAttempts: backAttempts.length, restoredTraces, keptNewer };
+  audit(actor, "undo", { target: id, undoes: meta.action, after: result });
+  return { ok: true, ...result };
+}
+
+function purgeSnapshots() {
+  const now = Date.now();
+  const expired = snapshotIndex.filter(s => new Date(s.expiresAt).getTime() < now);
+  if (!expired.length) return;
+  for (const s of expired) fs.rmSync(snapshotDir(s.id), { recursive: true, force: true });
+  snapshotIndex = snapshotIndex.filter(s => !expired.includes(s));
+  saveSnapshotIndex();
+}
+purgeSnapshots();
+setInterval(purgeSnapshots, 60 * 60 * 1000);
+
+// Newest first; before = entry id to page back from
+function queryAudit({ limit, before, action, actor } = {}) {
+  let list = auditLog;
+  if (before) {
+    const idx = list.findIndex(e => e.id === before);
+    if (idx !== -1) list = list.slice(0, idx);
+  }
+  if (action) list = list.filter(e => e.action === action);
+  if (actor) list = list.filter(e => [e.actor?.username, e.actor?.rig, e.actor?.ip, e.actor?.system].includes(actor));
+  const n = Math.min(Math.max(parseInt(limit, 10) || 200, 1), 1000);
+  return { ok: true, entries: list.slice(-n).reverse(), snapshots: snapshotIndex };
+}
+
+app.get("/api/audit", (req, res) => {
+  if (!reqCan(req, "audit")) return res.status(403).json({ ok: false, reason: "denied" });
+  res.json(queryAudit({
+    limit: req.query.limit,
+    before: String(req.query.before || ""),
+    action: String(req.query.action || "").trim(),
+    actor: String(req.query.actor || "").trim()
+  }));
+});
+
+// -------------------- Admin: resets / deletes --------------------
+// Each takes the actor for the audit log and returns the snapshot id to undo it.
+function resetEvent(eventId, actor) {
+  const snapshotId = makeId();
+  const removed = {
+    scores: scores.filter(s => s.eventId === eventId),
+    attempts: attempts.filter(a => a.eventId === eventId)
+  };
+
+  scores = scores.filter(s => s.eventId !== eventId);
+  attempts = attempts.filter(a => a.eventId !== eventId);
+  rebuildAttemptIndex();
+  removed.traces = pruneTraces(t => t.eventId !== eventId, snapshotDir(snapshotId));
+
+  saveScores();
+  saveAttempts();
+  recomputeRatings();
+
+  io.emit("clearEvent", { eventId });
+  broadcastCounts();
+
+  return {
+    removedScores: removed.scores.length,
+    removedAttempts: removed.attempts.length,
+    removedTraces: removed.traces.length,
+    snapshotId: recordRemoval(snapshotId, "resetEvent", actor, "data", eventId, removed)
+  };
+}
+
+function clearAll(actor) {
+  const snapshotId = makeId();
+  const removed = { scores, attempts };
+
+  scores = [];
+  attempts = [];
+  rebuildAttemptIndex();
+  removed.traces = pruneTraces(() => false, snapshotDir(snapshotId));
+
+  saveScores();
+  saveAttempts();
+  recomputeRatings();
+
+  io.emit("clearAll");
+  broadcastCounts();
+
+  return {
+    removedScores: removed.scores.length,
+    removedAttempts: removed.attempts.length,
+    removedTraces: removed.traces.length,
+    snapshotId: recordRemoval(snapshotId, "clearAll", actor, "data", null, removed)
+  };
+}
+
+function clearDemoData(actor) {
+  const removed = {
+    scores: scores.filter(s => s.demo),
+    attempts: attempts.filter(a => a.demo)
+  };
+
+  scores = scores.filter(s => !s.demo);
+  attempts = attempts.filter(a => !a.demo);
+  rebuildAttemptIndex();
+
+  saveScores();
+  saveAttempts();
+  recomputeRatings();
+
+  io.emit("clearDemo");
+  broadcastCounts();
+
+  return {
+    removedScores: removed.scores.length,
+    removedAttempts: removed.attempts.length,
+    snapshotId: recordRemoval(makeId(), "clearDemo", actor, "data", null, removed)
+  };
+}
+
+function deleteLeaderboardRowById(id, actor) {
+  const removed = { scores: scores.filter(s => s.id === id) };
+  scores = scores.filter(s => s.id !== id);
+  saveScores();
+  recomputeRatings();
+  if (removed.scores.length) io.emit("deleteScore", { id });
+  broadcastCounts();
+  return {
+    removed: removed.scores.length,
+    snapshotId: recordRemoval(makeId(), "deleteScore", actor, "rows", id, removed)
+  };
+}
+
+// -------------------- Cleanup (NEW) --------------------
+function cleanupOldData(olderThanDays, alsoScores = false, actor) {
+  const days = Number(olderThanDays);
+  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+  const snapshotId = makeId();
+  const isOld = (row) => new Date(row.createdAt).getTime() < cutoff;
+
+  const removed = { attempts: attempts.filter(isOld), scores: [] };
+  attempts = attempts.filter(a => !isOld(a));
+  rebuildAttemptIndex();
+  removed.traces = pruneTraces(t => new Date(t.recordedAt).getTime() >= cutoff, snapshotDir(snapshotId));
+
+  if (alsoScores) {
+    removed.scores = scores.filter(isOld);
+    scores = scores.filter(s => !isOld(s));
+    saveScores();
+    emitPrivate("loadScores", full => viewScores(scores, full)); // refresh clients
+    broadcastCounts();
+  }
+
+  saveAttempts();
+  recomputeRatings();
+  return {
+    removedAttempts: removed.attempts.length,
+    removedScores: alsoScores ? removed.scores.length : undefined,
+    removedTraces: removed.traces.length,
+    snapshotId: recordRemoval(snapshotId, "cleanup", actor, "data", `${days}d`, removed)
+  };
+}
+
+// -------------------- Export / import --------------------
+// CSV for spreadsheets and a JSON bundle for moving data between servers or
+// keeping a backup. Importing a bundle either merges (nothing local is
+// overwritten; differences are reported as conflicts) or replaces the data of
+// the events in the bundle (undoable from the audit log). Ratings are always
+// recalculated from the attempts, so bundled ratings are only informational.
+const BUNDLE_FORMAT = "racing-leaderboard-bundle";
+const BUNDLE_VERSION = 1;
+const IMPORT_MAX_CONFLICTS = 200;
+
+const SCORE_CSV_COLUMNS = ["position", "first", "last", "cohort", "course", "game", "track", "car", "carClass", "time", "sectors", "rating", "event", "createdAt", "driverId", "id", "penaltyMs"];
+const ATTEMPT_CSV_COLUMNS = ["createdAt", "first", "last", "cohort", "course", "game", "track", "car", "carClass", "time", "sectors", "event", "driverId", "attemptId", "rejected", "invalid", "penaltyMs", "rawTime", "stewardReason"];
+
+// Quotes every field; a leading = + - @ is neutralised so spreadsheets don't run it as a formula
+function toCsv(rows, columns) {
+  const cell = (v) => {
+    let s = Array.isArray(v) ? v.join(" ") : String(v ?? "");
+    if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+    return `"${s.replaceAll('"', '""')}"`;
+  };
+  return [columns.join(","), ...rows.map(r => columns.map(c => cell(r[c])).join(","))].join("\r\n") + "\r\n";
+}
+
+function exportFilter({ eventId = "", game = "", track = "" } = {}) {
+  return (r) => (!eventId || r.eventId === eventId) && (!game || r.game === game) && (!track || r.track.toLowerCase() === track.toLowerCase());
+}
+
+// Board rows with their position per game + track + event, fastest first
+function resultRows(filter) {
+  const groups = new Map();
+  for (const s of scores.filter(exportFilter(filter))) {
+    const key = `${s.eventId}|${s.game}|${s.track.toLowerCase()}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(s);
+  }
+  return [...groups.values()].flatMap(list => list
+    .sort((a, b) => timeToMs(a.time) - timeToMs(b.time))
+    .map((s, i) => ({
+      ...s,
+      position: i + 1,
+      rating: ratings[getRatingKey(s.game, s.track, s.driverId)]?.rating ?? "",
+      event: getEventById(s.eventId)?.name || s.eventId
+    })));
+}
+
+function exportScoresCsv(filter) {
+  return toCsv(resultRows(filter), SCORE_CSV_COLUMNS);
+}
+
+function exportAttemptsCsv(filter) {
+  const list = attempts.filter(exportFilter(filter))
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+    .map(a => ({ ...a, event: getEventById(a.eventId)?.name || a.eventId }));
+  return toCsv(list, ATTEMPT_CSV_COLUMNS);
+}
+
+// One event, or everything (then settings travel too, without the rig key)
+function exportBundle(eventId = "") {
+  const inScope = (r) => !eventId || r.eventId === eventId;
+  const rows = [...scores, ...attempts].filter(inScope);
+  const driverIds = new Set(rows.map(r => r.driverId));
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    eventId: eventId || null,
+    events: settings.events.filter(e => !eventId || e.id === eventId),
+    scores: scores.filter(inScope),
+    attempts: attempts.filter(inScope),
+    ratings: Object.fromEntries(Object.entries(ratings).filter(([key]) => driverIds.has(key.split("|").pop()))),
+    drivers: drivers.filter(d => driverIds.has(d.id) || (!eventId && !d.mergedInto))
+  };
+  if (!eventId) {
+    // the staff view, so moderation rules travel too; the rig key stays here
+    const { key, ...rig } = getPublicSettings(true).rig || {};
+    bundle.settings = { ...getPublicSettings(true), rig };
+  }
+  return bundle;
+}
+
+// Validates one bundled lap. Catalogue names are applied where the catalogue
+// knows the lap; laps it doesn't know are kept as they are and counted.
+function importLap(raw, eventIds, report) {
+  const row = { ...raw };
+  for (const k of ["first", "last", "time", "game", "track", "car", "cohort", "course", "eventId"]) row[k] = String(raw?.[k] ?? "").trim();
+  if (!row.first || !row.last || !row.game || !row.track || timeToMs(row.time) === Infinity) return null;
+  if (!eventIds.has(row.eventId)) return null;
+  row.cohort ||= "Guest";
+  row.course ||= "—";
+  row.createdAt = String(raw.createdAt || new Date().toISOString());
+  const copy = { ...row };
+  if (applyCatalogue(copy)) report.notInCatalogue++;
+  else Object.assign(row, copy);
+  return row;
+}
+
+// Bundle settings go through the same checks as the admin controls and anything
+// else is dropped. Demo, TV cycle and the quick-lap challenge run on timers here,
+// and the rig key stays this server's. Returns the sections that were refused.
+function importSettings(input, actor) {
+  if (typeof input.bestPerDriver === "boolean") settings.bestPerDriver = input.bestPerDriver;
+  if (input.fullscreen) patchFullscreen(input.fullscreen);
+  patchPrivacy(input);
+  if (typeof input.autoScroll === "boolean") patchAutoScroll({ enabled: input.autoScroll, rateMs: input.autoScrollRateMs, pauseMs: input.autoScrollPauseMs });
+  if (typeof input.spotlight === "boolean") patchSpotlight({ enabled: input.spotlight, rateMs: input.spotlightRateMs, mode: input.spotlightMode });
+  if (input.rig) patchRig(input.rig);
+
+  const refused = [];
+  for (const [key, update] of [["moderation", updateModeration], ["overlay", updateOverlay], ["queue", updateQueueSettings]]) {
+    if (!input[key]) continue;
+    const r = update(input[key], actor);
+    if (!r.ok) refused.push(`${key}: ${r.reason}`);
+  }
+  return refused;
+}
+
+function importBundle(bundle, { mode = "merge", dryRun = false } = {}, actor) {
+  if (bundle?.format !== BUNDLE_FORMAT || !Array.isArray(bundle.events) || !Array.isArray(bundle.scores) || !Array.isArray(bundle.attempts)) {
+    return { ok: false, reason: "bad_bundle" };
+  }
+  if (bundle.version > BUNDLE_VERSION) return { ok: false, reason: "newer_version" };
+  if (!["merge", "replace"].includes(mode)) return { ok: false, reason: "invalid" };
+
+  const report = {
+    mode,
+    dryRun,
+    events: { added: 0, updated: 0, conflicts: 0 },
+    attempts: { added: 0, same: 0, conflicts: 0, invalid: 0 },
+    scores: { added: 0, replaced: 0, kept: 0, invalid: 0 },
+    drivers: { added: 0, matched: 0 },
+    notInCatalogue: 0,
+    settings: "ignored",
+    conflicts: []
+  };
+  const conflict = (type, id, detail = {}) => {
+    if (report.conflicts.length < IMPORT_MAX_CONFLICTS) report.conflicts.push({ type, id, ...detail });
+  };
+
+  // Events: new ids are added; on replace the bundle's name wins, on merge ours does
+  const events = structuredClone(settings.events);
+  const bundleEventIds = new Set();
+  for (const e of bundle.events) {
+    const id = String(e?.id || "").trim();
+    const name = cleanName(e?.name).slice(0, 120);
+    if (!id || !name) continue;
+    bundleEventIds.add(id);
+    const local = events.find(x => x.id === id);
+    if (!local) {
+      events.push({ id, name, isLive: false, createdAt: e.createdAt || new Date().toISOString() });
+      report.events.added++;
+    } else if (local.name !== name) {
+      if (mode === "replace") { local.name = name; report.events.updated++; }
+      else { report.events.conflicts++; conflict("event_name", id, { local: local.name, bundle: name }); }
+    }
+  }
+  const eventIds = new Set(events.map(e => e.id));
+
+  // Drivers: known ids stay; unknown ids join a local driver with the same name,
+  // or come across with their id so profile links keep working
+  const driverMap = new Map();
+  const newDrivers = [];
+  for (const d of Array.isArray(bundle.drivers) ? bundle.drivers : []) {
+    if (!d?.id || d.mergedInto) continue;
+    if (getDriver(d.id)) { driverMap.set(d.id, getDriver(d.id).id); continue; }
+    const match = (driversByName.get(nameKey(d.first, d.last)) || []).map(getDriver).find(Boolean);
+    if (match) { driverMap.set(d.id, match.id); report.drivers.matched++; continue; }
+    newDrivers.push(d);
+    report.drivers.added++;
+  }
+  const newIds = new Set(newDrivers.map(d => d.id));
+  const localDriverId = (row) => driverMap.get(row.driverId) || getDriver(row.driverId)?.id ||
+    (newIds.has(row.driverId) ? row.driverId : (driversByName.get(nameKey(row.first, row.last)) || []).map(getDriver).find(Boolean)?.id);
+
+  // Replace clears the bundle's events first; merge keeps everything local
+  const replacing = mode === "replace" ? bundleEventIds : new Set();
+  const nextAttempts = attempts.filter(a => !replacing.has(a.eventId));
+  const nextScores = scores.filter(s => !replacing.has(s.eventId));
+  const byAttemptId = new Map(nextAttempts.map(a => [a.attemptId, a]));
+  const addedAttempts = [];
+
+  for (const raw of bundle.attempts) {
+    const a = importLap(raw, eventIds, report);
+    if (!a || !a.attemptId) { report.attempts.invalid++; continue; }
+    a.driverId = localDriverId(a);
+    const local = byAttemptId.get(a.attemptId);
+    if (local) {
+      const same = ["time", "game", "track", "eventId"].every(k => String(local[k]).toLowerCase() === String(a[k]).toLowerCase()) &&
+        nameKey(local.first, local.last) === nameKey(a.first, a.last);
+      if (same) report.attempts.same++;
+      else { report.attempts.conflicts++; conflict("attempt_differs", a.attemptId, { local: `${local.first} ${local.last} ${local.time}`, bundle: `${a.first} ${a.last} ${a.time}` }); }
+      continue;
+    }
+    nextAttempts.push(a);
+    addedAttempts.push(a);
+    byAttemptId.set(a.attemptId, a);
+    report.attempts.added++;
+  }
+
+  // Rows follow the usual rule: one per driver + game + track + event, the faster one stays
+  const rowKey = (r) => makeKey({ ...r, driverId: r.driverId || null });
+  const byKey = new Map(nextScores.map(s => [rowKey(s), s]));
+  const incoming = [];
+  for (const raw of bundle.scores) {
+    const s = importLap(raw, eventIds, report);
+    if (!s) { report.scores.invalid++; continue; }
+    s.id ||= makeId();
+    s.driverId = localDriverId(s);
+    const local = byKey.get(rowKey(s));
+    if (!local) { incoming.push(s); byKey.set(rowKey(s), s); report.scores.added++; continue; }
+    if (timeToMs(s.time) < timeToMs(local.time)) {
+      incoming.push({ ...s, id: local.id, replaces: local });
+      report.scores.replaced++;
+    } else {
+      report.scores.kept++;
+    }
+  }
+
+  if (mode === "replace" && !bundle.eventId && bundle.settings) report.settings = "applied";
+  report.ok = true;
+  if (dryRun) return report;
+
+  // ---- apply ----
+  const snapshotId = makeId();
+  const removed = mode === "replace" ? {
+    scores: scores.filter(s => replacing.has(s.eventId)),
+    attempts: attempts.filter(a => replacing.has(a.eventId))
+  } : null;
+
+  // Bundle ids are kept so /driver links from the other server still work
+  for (const d of newDrivers) {
+    createDriver(d.first, d.last, { id: d.id, cohort: d.cohort || "Guest", aliases: (d.aliases || []).map(cleanName).filter(Boolean), ...(d.createdAt ? { createdAt: d.createdAt } : {}) });
+  }
+
+  settings.events = events;
+  if (report.settings === "applied") {
+    const refused = importSettings(bundle.settings, actor);
+    if (refused.length) report.settingsRefused = refused;
+  }
+
+  for (const a of addedAttempts) assignDriver(a);
+  for (const s of incoming) {
+    assignDriver(s);
+    const idx = s.replaces ? nextScores.indexOf(s.replaces) : -1;
+    delete s.replaces;
+    if (idx !== -1) nextScores[idx] = s;
+    else nextScores.push(s);
+  }
+
+  attempts = nextAttempts;
+  scores = nextScores;
+  dedupeScores();
+  if (removed) removed.traces = pruneTraces(t => !replacing.has(t.eventId), snapshotDir(snapshotId));
+
+  saveSettings();
+  broadcastSettings();
+  afterDriverChange();
+
+  if (removed) report.snapshotId = recordRemoval(snapshotId, "importReplace", actor, "data", bundle.eventId || "all", removed);
+  else audit(actor, "importMerge", { target: bundle.eventId || "all", after: { events: report.events, attempts: report.attempts, scores: report.scores } });
+  return report;
+}
+
+const exportQuery = (req) => ({
+  eventId: String(req.query.eventId || "").trim(),
+  game: String(req.query.game || "").trim(),
+  track: String(req.query.track || "").trim()
+});
+const exportName = (eventId, suffix) => `${(getEventById(eventId)?.name || "all-events").replace(/[^\w-]+/g, "-").toLowerCase()}-${suffix}`;
+
+app.get("/api/export/scores.csv", (req, res) => {
+  if (!reqCan(req, "data")) return res.status(403).json({ ok: false, reason: "denied" });
+  const q = exportQuery(req);
+  res.attachment(exportName(q.eventId, "results.csv")).type("text/csv").send(exportScoresCsv(q));
+});
+
+app.get("/api/export/attempts.csv", (req, res) => {
+  if (!reqCan(req, "data")) return res.status(403).json({ ok: false, reason: "denied" });
+  const q = exportQuery(req);
+  res.attachment(exportName(q.eventId, "attempts.csv")).type("text/csv").send(exportAttemptsCsv(q));
+});
+
+app.get("/api/export/bundle", (req, res) => {
+  if (!reqCan(req, "data")) return res.status(403).json({ ok: false, reason: "denied" });
+  const eventId = String(req.query.eventId || "").trim();
+  if (eventId && !getEventById(eventId)) return res.status(404).json({ ok: false, reason: "not_found" });
+  audit(reqActor(req), "exportBundle", { target: eventId || "all" });
+  res.attachment(exportName(eventId, "bundle.json")).json(exportBundle(eventId));
+});
+
+// ?mode=merge|replace, ?dryRun=1 reports what would happen without changing anything
+app.post("/api/import/bundle", express.json({ limit: "50mb" }), (req, res) => {
+  if (!reqCan(req, "data")) return res.status(403).json({ ok: false, reason: "denied" });
+  const report = importBundle(req.body, {
+    mode: String(req.query.mode || "merge"),
+    dryRun: ["1", "true"].includes(String(req.query.dryRun || ""))
+  }, reqActor(req));
+  res.status(report.ok ? 200 : 400).json(report);
+});
+
+// -------------------- Settings patches --------------------
+// The checks behind the admin settings controls. Each takes the patch its socket
+// handler receives and changes only what passes; the caller saves and broadcasts.
+// Bundle imports go through the same ones.
+const NAME_MODES = ["FULL", "FIRST_INITIAL", "FIRST_LAST_INITIAL"];
+const SPOTLIGHT_MODES = ["recent", "random", "improved"];
+
+function patchFullscreen(patch) {
+  settings.fullscreen ||= { eventId: "evt_default", game: "", followLiveEvent: true, useTvCycle: false };
+
+  if (typeof patch?.followLiveEvent === "boolean") settings.fullscreen.followLiveEvent = patch.followLiveEvent;
+  if (typeof patch?.useTvCycle === "boolean") settings.fullscreen.useTvCycle = patch.useTvCycle;
+
+  if (typeof patch?.eventId === "string") settings.fullscreen.eventId = patch.eventId;
+  if (typeof patch?.game === "string") settings.fullscreen.game = patch.game;
+
+  if (settings.fullscreen.followLiveEvent) {
+    const live = getLiveEvent();
+    if (live?.id) settings.fullscreen.eventId = live.id;
+  }
+}
+
+function patchPrivacy(patch) {
+  if (typeof patch?.lecturerMode === "boolean") settings.lecturerMode = patch.lecturerMode;
+  settings.privacy ||= { nameMode: "FULL", hideCourse: false };
+  if (NAME_MODES.includes(patch?.privacy?.nameMode)) settings.privacy.nameMode = patch.privacy.nameMode;
+  if (typeof patch?.privacy?.hideCourse === "boolean") settings.privacy.hideCourse = patch.privacy.hideCourse;
+}
+
+function patchAutoScroll({ enabled, rateMs, pauseMs } = {}) {
+  settings.autoScroll = !!enabled;
+  if (Number.isFinite(rateMs) && rateMs > 0) settings.autoScrollRateMs = rateMs;
+  if (Number.isFinite(pauseMs) && pauseMs > 0) settings.autoScrollPauseMs = pauseMs;
+}
+
+function patchSpotlight({ enabled, rateMs, mode } = {}) {
+  settings.spotlight = !!enabled;
+  if (Number.isFinite(rateMs) && rateMs > 0) settings.spotlightRateMs = rateMs;
+  if (SPOTLIGHT_MODES.includes(mode)) settings.spotlightMode = mode;
+}
+
+// The shared rig key is set on its own controls, never through a patch
+function patchRig(patch) {
+  settings.rig ||= { enabled: false, timedLaps: 3, outLaps: 1, key: '' };
+  if (typeof patch?.enabled === 'boolean') settings.rig.enabled = patch.enabled;
+  if (Number.isFinite(patch?.timedLaps)) settings.rig.timedLaps = Number(patch.timedLaps);
+  if (Number.isFinite(patch?.outLaps)) settings.rig.outLaps = Number(patch.outLaps);
+}
+
+// -------------------- Demo + TV cycle --------------------
+let demoInterval = null;
+let tvCycleInterval = null;
+
+const demoDrivers = [
+  ["Alex", "Turner"], ["Maya", "Singh"], ["Jordan", "Evans"], ["Sam", "Walker"],
+  ["Chris", "Patel"], ["Ellie", "Jones"], ["Noah", "Reed"], ["Priya", "Shah"],
+  ["Liam", "Carter"], ["Zoe", "Bennett"], ["Owen", "Clarke"], ["Ava", "Hughes"]
+];
+const cohorts = ["Staff","Y1","Y2","Y3","Guest"];
+const courses = ["Games","Computing","Animation","Esports"];
+const rand = (arr) => arr[Math.floor(Math.random() * arr.length)];
+
+function genLapTime() {
+  const m = 1;
+  const s = 10 + Math.floor(Math.random() * 50);
+  const ms = Math.floor(Math.random() * 1000).toString().padStart(3, "0");
+  return `${m}:${String(s).padStart(2, "0")}.${ms}`;
+}
+
+// Demo laps use the catalogue, so they land on real boards
+function pushDemoOne(seedEventId) {
+  const game = rand(catalogue.games.filter(g => g.tracks.length));
+  if (!game) return;
+  const [first, last] = rand(demoDrivers);
+
+  submitLap({
+    first, last,
+    time: genLapTime(),
+    day: new Date().toLocaleDateString("en-GB", { weekday: "short" }),
+    game: game.name,
+    car: game.cars.length ? rand(game.cars).name : "",
+    track: rand(game.tracks).name,
+    cohort: rand(cohorts),
+    course: rand(courses),
+    eventId: seedEventId || (getLiveEvent()?.id ?? "evt_default"),
+    createdAt: new Date().toISOString()
+  }, { source: "demo", trust: "staff" });
+}
+
+function setDemo(enabled, rateMs = 4000, seed = false) {
+  settings.demoEnabled = !!enabled;
+  settings.demoRateMs = Number(rateMs || 4000);
+  saveSettings();
+  broadcastSettings();
+
+  if (demoInterval) clearInterval(demoInterval);
+  demoInterval = null;
+
+  if (enabled) {
+    const targetEventId = getLiveEvent()?.id ?? "evt_default";
+    if (seed) for (let i = 0; i < 18; i++) pushDemoOne(targetEventId);
+    demoInterval = setInterval(() => pushDemoOne(targetEventId), settings.demoRateMs);
+  }
+}
+
+function setTvCycle(enabled, rateMs = 15000) {
+  settings.tvCycleEnabled = !!enabled;
+  settings.tvCycleRateMs = Number(rateMs || 15000);
+  saveSettings();
+  broadcastSettings();
+
+  if (tvCycleInterval) clearInterval(tvCycleInterval);
+  tvCycleInterval = null;
+
+  if (enabled) {
+    // Mixed, then each catalogue game; read every step so catalogue edits apply straight away
+    let idx = 0;
+    tvCycleInterval = setInterval(() => {
+      const cycle = ["", ...catalogue.games.map(g => g.name)];
+      idx = (idx + 1) % cycle.length;
+      io.emit("tvCycleStep", { game: cycle[idx] });
+    }, settings.tvCycleRateMs);
+  }
+}
+
+// Restore intervals
+if (settings.demoEnabled) setDemo(true, settings.demoRateMs, false);
+if (settings.tvCycleEnabled) setTvCycle(true, settings.tvCycleRateMs);
+
+// Quick-lap challenge (closes straight away if it ran out while the server was down)
+armQuickLapTimer();
+
+// Event schedule (catches up on anything that came due while the server was down)
+runSchedule();
+setInterval(runSchedule, SCHEDULE_TICK_MS);
+
+// -------------------- APIs --------------------
+app.get("/api/settings", (req, res) => res.json(getPublicSettings(reqCan(req, "view"))));
+app.get("/api/scores", (req, res) => res.json(viewScores(scores, reqCan(req, "view"))));
+app.get("/api/events", (req, res) => res.json(settings.events));
+app.get("/api/schedule", (req, res) => res.json(scheduleStatus()));
+app.get("/api/ratings", (req, res) => res.json(viewRatings()));
+app.get("/api/catalogue", (req, res) => res.json(viewCatalogue()));
+app.get("/api/tournaments", (req, res) => {
+  const full = reqCan(req, "view");
+  res.json(tournaments.map(t => ({ id: t.id, name: t.name, stage: t.stage, format: t.format, game: t.game, track: t.track, eventId: t.eventId, winner: viewTournament(t, full).winner, updatedAt: t.updatedAt })));
+});
+app.get("/api/tournaments/:id", (req, res) => {
+  const t = req.params.id === "current" ? currentTournament() : getTournament(req.params.id);
+  if (!t) return res.status(404).json({ ok: false, reason: "not_found" });
+  res.json({ ok: true, tournament: viewTournament(t, reqCan(req, "view")) });
+});
+
+// Registry search is for staff (names are never redacted here); profiles are public
+app.get("/api/drivers", (req, res) => {
+  if (!reqCan(req, "view")) return res.status(403).json({ ok: false, reason: "denied" });
+  res.json({ ok: true, drivers: listDrivers({ q: req.query.q, name: req.query.name, limit: req.query.limit }) });
+});
+
+app.get("/api/drivers/:id", (req, res) => {
+  const profile = driverProfile(req.params.id, reqCan(req, "view"));
+  if (!profile) return res.status(404).json({ ok: false, reason: "not_found" });
+  res.json(profile);
+});
+
+// -------------------- Rig registry --------------------
+// Each rig has its own id (the TelemetryRelay RIG_ID), a display name and a key.
+// Keys are stored hashed and shown once when issued, so a rig can be renamed,
+// re-keyed or revoked without touching the others. The shared settings.rig.key
+// still works for rigs that haven't been registered. Heartbeats, submissions and
+// telemetry keep a live status per rig for the fleet board.
+const RIG_ONLINE_MS = 30_000;
+const RIG_FLEET_PUSH_MS = 5000;
+const RIG_ID_RE = /^[a-z0-9][a-z0-9_-]{0,47}$/i;
+
+let rigs = storage.load("rigs", []);
+const rigStatus = new Map(); // rigId -> { lastSeen, ip, queued, version, driver, track, car }
+
+function saveRigs() { storage.save("rigs", rigs); }
+
+const hashRigKey = (key) => crypto.createHash("sha256").update(String(key)).digest("hex");
+const getRig = (id) => rigs.find(r => r.id === id);
+
+// Registry entry without the key hash
+function viewRig(rig) {
+  if (!rig) return null;
+  const { keyHash, ...out } = rig;
+  return out;
+}
+
+function issueRigKey(rig) {
+  const key = `rk_${crypto.randomBytes(18).toString("base64url")}`;
+  rig.keyHash = hashRigKey(key);
+  rig.keyHint = key.slice(-4);
+  rig.keyIssuedAt = new Date().toISOString();
+  return key;
+}
+
+// Works out which rig is calling: a registered rig by its own key, otherwise the
+// shared key (or none, when no shared key is set) with the rig id from the body.
+// Registered ids can't be used with the shared key.
+function rigAuth(req, bodyRigId = "") {
+  if (!settings.rig?.enabled) return { reason: "rig_disabled" };
+  const key = String(req.headers["x-rig-key"] || "").trim();
+  if (key) {
+    const rig = rigs.find(r => r.keyHash === hashRigKey(key));
+    if (rig) return rig.revokedAt ? { reason: "revoked" } : { rigId: rig.id, rig };
+  }
+  const shared = settings.rig?.key || "";
+  if (shared && key !== shared) return { reason: "bad_key" };
+  const rigId = cleanStr(bodyRigId, 48);
+  const registered = rigId && getRig(rigId);
+  if (registered) return { reason: registered.revokedAt ? "revoked" : "bad_key" };
+  return { rigId };
+}
+
+function touchRig(rigId, patch = {}) {
+  if (!rigId) return;
+  const st = rigStatus.get(rigId) || {};
+  for (const [k, v] of Object.entries(patch)) if (v !== undefined) st[k] = v;
+  st.lastSeen = new Date().toISOString();
+  rigStatus.set(rigId, st);
+}
+
+// Registered rigs plus any rig seen through the shared key or telemetry
+function fleetStatus(full) {
+  const now = Date.now();
+  const ids = new Set([...rigs.map(r => r.id), ...rigStatus.keys(), ...rigSessions.keys(), ...telemetryState.keys()]);
+  return [...ids].map(id => {
+    const rig = getRig(id);
+    const st = rigStatus.get(id) || {};
+    const tel = telemetryState.get(id);
+    const session = rigSessions.get(id);
+    const seen = Math.max(new Date(st.lastSeen || 0).getTime(), tel?.receivedAt || 0);
+    const person = session && !session.finished ? session.driver : st.driver;
+    const driver = person?.first ? { first: person.first, last: person.last, cohort: person.cohort } : null;
+    return {
+      id,
+      name: rig?.name || id,
+      registered: !!rig,
+      revoked: !!rig?.revokedAt,
+      keyHint: rig?.keyHint || "",
+      lastSeen: seen ? new Date(seen).toISOString() : null,
+      online: !!seen && now - seen < RIG_ONLINE_MS,
+      ip: full ? st.ip || "" : "",
+      queued: st.queued ?? 0,
+      version: st.version || "",
+      driver: driver && !full ? redactPerson(driver) : driver,
+      track: tel?.track || session?.driver.track || st.track || "",
+      car: tel?.car || session?.driver.car || st.car || "",
+      telemetry: !!tel,
+      session: session ? { outCount: session.outCount, timedCount: session.timedCount, timedLaps: session.timedLaps, finished: session.finished } : null
+    };
+  }).sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+}
+
+const broadcastFleet = () => io.to(ADMIN_ROOM).emit("rigFleet", fleetStatus(true));
+setInterval(broadcastFleet, RIG_FLEET_PUSH_MS);
+
+// Registers a new rig (returns its key once) or renames an existing one
+function saveRig(input, actor) {
+  const id = cleanStr(input?.id, 48);
+  const name = cleanName(input?.name).slice(0, 60);
+  if (!RIG_ID_RE.test(id)) return { ok: false, reason: "bad_id" };
+
+  let rig = getRig(id);
+  const before = viewRig(rig && structuredClone(rig));
+  let key;
+  if (rig) {
+    rig.name = name || rig.name;
+  } else {
+    rig = { id, name: name || id, createdAt: new Date().toISOString() };
+    key = issueRigKey(rig);
+    rigs.push(rig);
+  }
+  saveRigs();
+  broadcastFleet();
+  audit(actor, before ? "rigRename" : "rigRegister", { target: id, before, after: viewRig(rig) });
+  return { ok: true, rig: viewRig(rig), ...(key ? { key } : {}) };
+}
+
+function rotateRigKey(id, actor) {
+  const rig = getRig(id);
+  if (!rig) return { ok: false, reason: "not_found" };
+  const key = issueRigKey(rig);
+  saveRigs();
+  broadcastFleet();
+  audit(actor, "rigKeyRotate", { target: id, after: { keyHint: rig.keyHint } });
+  return { ok: true, rig: viewRig(rig), key };
+}
+
+// A revoked rig's submissions, sessions and telemetry are refused until it's restored
+function setRigRevoked(id, revoked, actor) {
+  const rig = getRig(id);
+  if (!rig) return { ok: false, reason: "not_found" };
+  if (revoked) {
+    rig.revokedAt = new Date().toISOString();
+    stopRigSession(id);
+  } else {
+    delete rig.revokedAt;
+  }
+  saveRigs();
+  broadcastFleet();
+  audit(actor, revoked ? "rigRevoke" : "rigRestore", { target: id });
+  return { ok: true, rig: viewRig(rig) };
+}
+
+function deleteRig(id, actor) {
+  const rig = getRig(id);
+  if (!rig) return { ok: false, reason: "not_found" };
+  rigs = rigs.filter(r => r !== rig);
+  rigStatus.delete(id);
+  saveRigs();
+  broadcastFleet();
+  audit(actor, "rigDelete", { target: id, before: viewRig(rig) });
+  return { ok: true };
+}
+
+// -------------------- Rig endpoints --------------------
+// Rig state for the rig page, heartbeats and rig lap submissions
+app.get('/api/rig/state', (req, res) => {
+  const rigId = String(req.query.rigId || '').trim();
+  const session = rigId && rigSessions.get(rigId);
+  const full = reqCan(req, "view");
+  const fleet = fleetStatus(full);
+  const seen = rigId ? fleet.filter(r => r.id === rigId) : fleet;
+  const lastSeen = seen.map(r => r.lastSeen).filter(Boolean).sort().pop() || null;
+  const queuedTotal = seen.reduce((n, r) => n + r.queued, 0);
+  res.json({ ok: true, rig: getPublicSettings(full).rig || { enabled: false, timedLaps: 3, outLaps: 1 }, lastSeen, queuedTotal, liveEventName: getLiveEvent()?.name, session: session ? viewRigSession(publicRigSession(session), full) : null });
+});
+
+app.get('/api/rigs', (req, res) => {
+  if (!reqCan(req, "view")) return res.status(403).json({ ok: false, reason: "denied" });
+  res.json({ ok: true, rigs: fleetStatus(true) });
+});
+
+// Rig pages report in every few seconds with their queue and what's loaded
+app.post('/api/rig/heartbeat', express.json(), (req, res) => {
+  const body = req.body || {};
+  const auth = rigAuth(req, body.rigId);
+  if (auth.reason) return res.status(403).json({ ok: false, reason: auth.reason });
+  if (!auth.rigId) return res.status(400).json({ ok: false, reason: 'no_rig_id' });
+
+  const driver = body.driver && cleanStr(body.driver.first) ? { first: cleanStr(body.driver.first), last: cleanStr(body.driver.last), cohort: cleanStr(body.driver.cohort) || "Guest" } : null;
+  touchRig(auth.rigId, {
+    ip: req.ip,
+    queued: Math.trunc(clampNum(body.queued, 0, 100_000) ?? 0),
+    version: cleanStr(body.version, 32),
+    driver,
+    track: cleanStr(body.track),
+    car: cleanStr(body.car)
+  });
+  // a driver sent from the queue; the rig page signs them in from this
+  const session = rigSessions.get(auth.rigId);
+  const assignment = session?.queueId && !session.finished ? { queueId: session.queueId, ...session.driver } : null;
+  res.json({ ok: true, rigId: auth.rigId, name: auth.rig?.name || auth.rigId, registered: !!auth.rig, liveEventName: getLiveEvent()?.name, assignment, session: session ? { queueId: session.queueId, finished: session.finished } : null });
+});
+
+app.post('/api/submit-lap', express.json(), (req, res) => {
+  const payload = req.body;
+  const auth = rigAuth(req, payload?.rigId);
+  if (auth.reason) return res.status(403).json({ ok: false, reason: auth.reason });
+  touchRig(auth.rigId, { ip: req.ip });
+
+  if (!payload) return res.status(400).json({ ok: false, reason: 'no_body' });
+
+  // server-side sanitise + submit
+  const result = submitLap(payload, { source: "rig", trust: rigTrust(auth.rigId), rigId: auth.rigId });
+  audit(rigActor(auth.rigId, req.ip), "rigSubmitLap", lapAuditDetail(payload, result));
+  if (result.ok) {
+    return res.json({ ok: true, mode: result.mode });
+  }
+  // held laps count as delivered, so the rig doesn't queue them for another try
+  if (result.reason === "pending") return res.status(202).json({ ok: true, mode: "pending", flags: result.flags });
+  return res.status(400).json(result);
+});
+
+// Sign a driver in/out on a rig so telemetry laps can be submitted for them
+app.post('/api/rig/session', express.json(), (req, res) => {
+  const body = req.body || {};
+  const auth = rigAuth(req, body.rigId);
+  if (auth.reason) return res.status(403).json({ ok: false, reason: auth.reason });
+
+  const rigId = auth.rigId;
+  if (!rigId) return res.status(400).json({ ok: false, reason: 'no_rig_id' });
+
+  touchRig(rigId, { ip: req.ip });
+
+  if (body.action === 'stop') {
+    const session = stopRigSession(rigId);
+    if (session) audit(rigActor(rigId, req.ip), "rigSessionStop", { target: [session.driver.first, session.driver.last].join(" ") });
+    return res.json({ ok: true, session: session ? publicRigSession(session) : null });
+  }
+
+  const session = startRigSession(rigId, body, !!body.resume);
+  if (!session) return res.status(400).json({ ok: false, reason: 'invalid' });
+  // a rig page resuming a queued driver after a server restart keeps the link
+  const entry = body.queueId && getQueueEntry(body.queueId);
+  if (entry?.status === "onRig" && entry.rigId === rigId) session.queueId = entry.id;
+  audit(rigActor(rigId, req.ip), "rigSessionStart", { target: [session.driver.first, session.driver.last].join(" "), after: { track: session.driver.track, car: session.driver.car, resume: !!body.resume } });
+  return res.json({ ok: true, session: publicRigSession(session) });
+});
+
+// Admin import of queued laps (upload JSON array)
+app.post('/api/rig/flush', express.json(), (req, res) => {
+  if (!reqCan(req, 'laps')) return res.status(403).json({ ok: false, reason: 'denied' });
+  const body = req.body;
+  if (!Array.isArray(body)) return res.status(400).json({ ok: false, reason: 'bad_payload' });
+  const actor = reqActor(req);
+  let imported = 0;
+  let held = 0;
+  for (const item of body) {
+    const r = submitLap(item, { source: "flush", trust: "staff", by: actor.username });
+    if (r.ok) imported++;
+    else if (r.reason === "pending") held++;
+  }
+  saveScores(); saveAttempts();
+  audit(actor, "rigFlush", { after: { received: body.length, imported, held } });
+  return res.json({ ok: true, imported, held });
+});
+
+app.get("/api/sectors", (req, res) => {
+  res.json(getSectorStats({
+    eventId: String(req.query.eventId || "").trim(),
+    game: String(req.query.game || "").trim(),
+    track: String(req.query.track || "").trim(),
+    full: reqCan(req, "view")
+  }));
+});
+
+// Paged attempt history. Filters: q, track, car, cohort, course, game, eventId,
+// from/to (dates), pb=1. Sorting: sort=date|time, order=asc|desc. Paging: limit + offset or cursor.
+app.get("/api/attempts", (req, res) => {
+  const result = queryAttempts({ ...req.query, pb: ["1", "true"].includes(String(req.query.pb)), full: reqCan(req, "view") });
+  if (!result.ok) return res.status(400).json(result);
+  res.json(result);
+});
+
+// -------------------- Rig sessions (telemetry lap submission) --------------------
+// A rig session is the driver currently signed in on a rig plus the session
+// rules from settings.rig. Laps detected in the telemetry stream are counted
+// against it: out laps are skipped, timed laps are submitted, cut laps flagged.
+const LAP_TIME_WAIT_MS = 3000;  // how long to wait for LastLap after LapCount ticks over
+const RIG_SESSION_LOG_MAX = 50;
+
+const rigSessions = new Map();  // rigId -> session
+const lapTrackers = new Map();  // rigId -> lap detection state
+
+function publicRigSession(s) {
+  return {
+    rigId: s.rigId,
+    driver: s.driver,
+    outLaps: s.outLaps,
+    timedLaps: s.timedLaps,
+    outCount: s.outCount,
+    timedCount: s.timedCount,
+    finished: s.finished,
+    startedAt: s.startedAt,
+    queueId: s.queueId,
+    laps: s.laps
+  };
+}
+
+function startRigSession(rigId, data, resume = false) {
+  const existing = rigSessions.get(rigId);
+  if (resume && existing && !existing.finished) return existing;
+  if (existing && !existing.finished) queueSessionEnded(existing);
+
+  const driver = {
+    first: cleanStr(data.first),
+    last: cleanStr(data.last),
+    cohort: cleanStr(data.cohort) || "Guest",
+    course: cleanStr(data.course) || "—",
+    car: cleanStr(data.car),
+    track: cleanStr(data.track),
+    game: cleanStr(data.game)
+  };
+  if (!driver.first || !driver.last) return null;
+
+  const cfg = settings.rig || { timedLaps: 3, outLaps: 1 };
+  const session = {
+    rigId,
+    driver,
+    outLaps: Number(cfg.outLaps ?? 1),
+    timedLaps: Number(cfg.timedLaps ?? 3),
+    outCount: 0,
+    timedCount: 0,
+    finished: false,
+    startedAt: new Date().toISOString(),
+    laps: []
+  };
+  rigSessions.set(rigId, session);
+  emitPrivate("rigSession", full => viewRigSession(publicRigSession(session), full));
+  return session;
+}
+
+function stopRigSession(rigId) {
+  const session = rigSessions.get(rigId);
+  if (!session) return null;
+  session.finished = true;
+  emitPrivate("rigSession", full => viewRigSession(publicRigSession(session), full));
+  queueSessionEnded(session);
+  return session;
+}
+
+// LapCount ticking over marks the line crossing; the lap time is the first
+// LastLap value that differs from the one used for the previous lap (AC can
+// publish the two a tick apart, in either order).
+function detectLapCompletion(packet, now, address) {
+  const t = lapTrackers.get(packet.rigId);
+  if (!t || packet.lap < t.lap) {
+    // first packet from this rig, or the game session restarted
+    lapTrackers.set(packet.rigId, { lap: packet.lap, usedLastLap: packet.lastLap, invalid: packet.lapInvalid, pending: null });
+    return;
+  }
+
+  if (packet.lap > t.lap) {
+    if (t.pending) completeRigLap(packet, { ...t.pending, time: "" }, address);
+    t.pending = { lap: packet.lap, invalid: t.invalid || packet.lastLapInvalid, at: now, trace: takeLapBuffer(packet.rigId) };
+    t.lap = packet.lap;
+    t.invalid = packet.lapInvalid;
+  } else if (packet.lapInvalid) {
+    t.invalid = true;
+  }
+
+  if (!t.pending) return;
+  const fresh = packet.lastLap && packet.lastLap !== t.usedLastLap;
+  if (!fresh && now - t.pending.at < LAP_TIME_WAIT_MS) return;
+
+  const lap = { ...t.pending, time: fresh ? packet.lastLap : "", splits: fresh ? packet.lastSplits : [] };
+  t.pending = null;
+  if (fresh) t.usedLastLap = packet.lastLap;
+  completeRigLap(packet, lap, address);
+}
+
+// The relay doesn't say which game it is reading: the rig page's game when it
+// sent one, otherwise the catalogue game that lists the track
+function telemetryGame(session, packet) {
+  if (session.driver.game) return session.driver.game;
+  const track = catKey(session.driver.track || packet.track);
+  const entry = [...catalogueIndex.values()].find(e => e.tracks.has(track));
+  return entry?.game.name || catalogue.games[0]?.name || "";
+}
+
+function completeRigLap(packet, { lap, time, invalid, trace, splits }, address) {
+  const session = rigSessions.get(packet.rigId);
+  if (!session || session.finished) return;
+  const game = telemetryGame(session, packet);
+
+  const entry = { lap, time, at: new Date().toISOString() };
+  let attemptId;
+  let driverId;
+
+  if (session.outCount < session.outLaps) {
+    session.outCount++;
+    entry.status = "out";
+  } else {
+    session.timedCount++;
+    if (trace?.samples.length >= TRACE_MIN_SAMPLES) entry.traceId = makeId();
+    if (!time) {
+      entry.status = "flagged";
+      entry.reason = "no_time";
+    } else if (invalid) {
+      entry.status = "flagged";
+      entry.reason = "invalid_lap";
+    } else if (!settings.rig?.enabled) {
+      entry.status = "flagged";
+      entry.reason = "rig_disabled";
+    } else {
+      const d = session.driver;
+      const result = submitLap({
+        first: d.first,
+        last: d.last,
+        time,
+        day: new Date().toLocaleDateString("en-GB", { weekday: "short" }),
+        game,
+        car: d.car || packet.car,
+        track: d.track || packet.track,
+        cohort: d.cohort,
+        course: d.course,
+        createdAt: entry.at,
+        traceId: entry.traceId,
+        ...lapSplits(packet.track, time, splits, trace)
+      }, { source: "telemetry", trust: telemetryTrust(session.rigId, address), rigId: session.rigId });
+      attemptId = result.attemptId;
+      driverId = result.driverId;
+      audit(rigActor(session.rigId), "rigTelemetryLap", lapAuditDetail({ ...d, time, track: d.track || packet.track, car: d.car || packet.car, game }, result));
+      if (result.ok || result.reason === "not_better") {
+        entry.status = "submitted";
+        entry.mode = result.ok ? result.mode : "not_better";
+      } else if (result.reason === "pending") {
+        entry.status = "held";
+        entry.reason = result.flags.join(", ");
+      } else {
+        entry.status = "flagged";
+        entry.reason = result.reason;
+      }
+    }
+    if (session.timedCount >= session.timedLaps) session.finished = true;
+  }
+
+  if (entry.traceId) {
+    const d = session.driver;
+    saveLapTrace(trace, {
+      id: entry.traceId,
+      attemptId,
+      rigId: session.rigId,
+      driverId: driverId || findDriver(d.first, d.last)?.id,
+      first: d.first,
+      last: d.last,
+      cohort: d.cohort,
+      game,
+      car: d.car || packet.car,
+      track: d.track || packet.track,
+      trackId: packet.track,
+      eventId: getLiveEvent()?.id,
+      lap,
+      time,
+      status: entry.status,
+      reason: entry.reason,
+      recordedAt: entry.at
+    });
+  }
+
+  session.laps.unshift(entry);
+  if (session.laps.length > RIG_SESSION_LOG_MAX) session.laps.length = RIG_SESSION_LOG_MAX;
+  touchRig(session.rigId);
+
+  emitPrivate("rigLap", full => ({ rigId: session.rigId, ...entry, session: viewRigSession(publicRigSession(session), full) }));
+  if (session.finished) queueSessionEnded(session);
+}
+
+// Sectors come from the game's own splits when the relay sends them, otherwise
+// from the lap trace at the track's sector boundaries. Mini-sectors always come
+// from the trace, and only for tracks that define them.
+function lapSplits(trackId, time, splits, trace) {
+  const lapMs = timeToMs(time);
+  const out = {};
+  if (sanitiseSplits(splits, lapMs)) out.sectors = splits;
+  if (!trace || trace.samples.length < TRACE_MIN_SAMPLES || lapMs === Infinity) return out;
+
+  const t = trace.samples.map(s => s[0]);
+  const d = trace.samples.map(s => s[1]);
+  if (!out.sectors) out.sectors = splitsFromTrace(t, d, lapMs, trackSectors(trackId));
+  const mini = trackMiniSectors(trackId);
+  if (mini) out.miniSectors = splitsFromTrace(t, d, lapMs, mini);
+  return out;
+}
+
+// -------------------- Driver queue --------------------
+// Visitors join from /join on their phone (staff can add walk-ups too) and staff
+// send the next driver to a free rig, which starts a rig session for them. The
+// rig page picks the driver up from its heartbeat, and the entry is done once
+// that session ends. Waits are estimated from how long recent sessions took,
+// handing each waiting driver the rig that frees up first.
+const QUEUE_MAX_WAITING = 200;
+const QUEUE_HISTORY_MAX = 200;        // finished entries kept for wait estimates
+const QUEUE_ESTIMATE_SESSIONS = 10;   // recent sessions averaged
+const QUEUE_DEFAULT_SESSION_MIN = 5;  // until there are sessions to average
+const QUEUE_JOIN_WINDOW_MS = 60_000;
+const QUEUE_JOINS_PER_WINDOW = 20;    // per address; open-day Wi-Fi puts many phones behind one
+const QUEUE_PUSH_MS = 30_000;         // estimates drift as sessions run
+
+let queue = storage.load("queue", []);
+const queueJoinBudget = new Map(); // address -> { windowStart, count }
+
+function saveQueue() { storage.save("queue", queue); }
+
+const getQueueEntry = (id) => queue.find(q => q.id === String(id || ""));
+const waitingEntries = () => queue.filter(q => q.status === "waiting");
+const entryName = (q) => `${q.first} ${q.last}`;
+
+function queueSettings() {
+  return { open: true, joinUrl: "", sessionMinutes: QUEUE_DEFAULT_SESSION_MIN, ...settings.queue };
+}
+
+function averageSessionMs() {
+  const recent = queue
+    .filter(q => q.status === "done" && q.timedLaps > 0 && q.startedAt && q.finishedAt)
+    .sort((a, b) => a.finishedAt.localeCompare(b.finishedAt))
+    .slice(-QUEUE_ESTIMATE_SESSIONS)
+    .map(q => tsOf(q.finishedAt) - tsOf(q.startedAt))
+    .filter(ms => ms > 0);
+  return recent.length ? recent.reduce((a, b) => a + b, 0) / recent.length : queueSettings().sessionMinutes * 60_000;
+}
+
+// Wait per waiting entry, plus the wait for whoever joins next
+function queueEstimates() {
+  const avg = averageSessionMs();
+  const now = Date.now();
+  const freeIn = fleetStatus(true)
+    .filter(r => r.online && !r.revoked)
+    .map(r => {
+      const s = rigSessions.get(r.id);
+      return s && !s.finished ? Math.max(0, tsOf(s.startedAt) + avg - now) : 0;
+    });
+  if (!freeIn.length) freeIn.push(0);
+  const take = () => {
+    const i = freeIn.indexOf(Math.min(...freeIn));
+    const wait = freeIn[i];
+    freeIn[i] += avg;
+    return Math.round(wait);
+  };
+  const waits = new Map(waitingEntries().map(q => [q.id, take()]));
+  return { waits, nextWaitMs: take(), averageSessionMs: Math.round(avg) };
+}
+
+function viewQueueEntry(q, full) {
+  const { token, ip, ...out } = q;
+  out.rigName = q.rigId ? getRig(q.rigId)?.name || q.rigId : "";
+  return full ? out : redactPerson(out);
+}
+
+function viewQueue(full) {
+  const { waits, nextWaitMs, averageSessionMs } = queueEstimates();
+  const { open, joinUrl } = queueSettings();
+  return {
+    open,
+    joinUrl,
+    averageSessionMs,
+    nextWaitMs,
+    waiting: waitingEntries().map((q, i) => ({ ...viewQueueEntry(q, full), position: i + 1, waitMs: waits.get(q.id) })),
+    onRig: queue.filter(q => q.status === "onRig").map(q => viewQueueEntry(q, full))
+  };
+}
+
+const broadcastQueue = () => emitPrivate("queueUpdate", full => viewQueue(full));
+setInterval(() => { if (waitingEntries().length) broadcastQueue(); }, QUEUE_PUSH_MS);
+
+// Waiting and on-rig entries stay; finished ones are trimmed to the newest
+function pruneQueue() {
+  const finished = queue.filter(q => q.status !== "waiting" && q.status !== "onRig");
+  const drop = new Set(finished.slice(0, Math.max(0, finished.length - QUEUE_HISTORY_MAX)));
+  if (drop.size) queue = queue.filter(q => !drop.has(q));
+}
+
+function changeQueue() {
+  pruneQueue();
+  saveQueue();
+  broadcastQueue();
+}
+
+function queueJoinAllowed(address) {
+  const now = Date.now();
+  const b = queueJoinBudget.get(address);
+  if (!b || now - b.windowStart >= QUEUE_JOIN_WINDOW_MS) {
+    queueJoinBudget.set(address, { windowStart: now, count: 1 });
+    return true;
+  }
+  return ++b.count <= QUEUE_JOINS_PER_WINDOW;
+}
+
+// staff: added at the desk, so the queue being closed doesn't stop it
+function addToQueue(input, actor, staff = false) {
+  if (!staff && !queueSettings().open) return { ok: false, reason: "queue_closed" };
+  const first = cleanName(input?.first).slice(0, 40);
+  const last = cleanName(input?.last).slice(0, 40);
+  if (!first || !last) return { ok: false, reason: "invalid" };
+  if (waitingEntries().length >= QUEUE_MAX_WAITING) return { ok: false, reason: "queue_full" };
+  const key = nameKey(first, last);
+  if (queue.some(q => (q.status === "waiting" || q.status === "onRig") && nameKey(q.first, q.last) === key)) {
+    return { ok: false, reason: "already_queued" };
+  }
+
+  const entry = {
+    id: `q_${crypto.randomBytes(6).toString("base64url")}`,
+    first,
+    last,
+    cohort: cleanStr(input?.cohort, 32) || "Guest",
+    course: cleanStr(input?.course, 60) || "—",
+    status: "waiting",
+    source: staff ? "staff" : "join",
+    joinedAt: new Date().toISOString(),
+    token: crypto.randomBytes(12).toString("base64url")
+  };
+  queue.push(entry);
+  changeQueue();
+  audit(actor, "queueJoin", { target: entryName(entry), after: { source: entry.source } });
+  return { ok: true, entry: viewQueueEntry(entry, true), token: entry.token };
+}
+
+// The visitor's own ticket token lets them step out while still waiting
+function leaveQueue(id, token, actor) {
+  const entry = getQueueEntry(id);
+  if (!entry || !token || entry.token !== String(token)) return { ok: false, reason: "not_found" };
+  if (entry.status !== "waiting") return { ok: false, reason: "not_waiting" };
+  entry.status = "left";
+  entry.finishedAt = new Date().toISOString();
+  changeQueue();
+  audit(actor, "queueLeave", { target: entryName(entry) });
+  return { ok: true };
+}
+
+// Sends a waiting driver (the next one unless entryId is given) to a rig with
+// no running session. The rig's last track and car carry over.
+function assignQueue(rigId, entryId, actor) {
+  rigId = cleanStr(rigId, 48);
+  if (!RIG_ID_RE.test(rigId)) return { ok: false, reason: "bad_id" };
+  if (getRig(rigId)?.revokedAt) return { ok: false, reason: "revoked" };
+  const busy = rigSessions.get(rigId);
+  if (busy && !busy.finished) return { ok: false, reason: "rig_busy" };
+  const entry = entryId ? getQueueEntry(entryId) : waitingEntries()[0];
+  if (!entry) return { ok: false, reason: entryId ? "not_found" : "queue_empty" };
+  if (entry.status !== "waiting") return { ok: false, reason: "not_waiting" };
+
+  const st = rigStatus.get(rigId) || {};
+  const session = startRigSession(rigId, { first: entry.first, last: entry.last, cohort: entry.cohort, course: entry.course, track: st.track, car: st.car });
+  if (!session) return { ok: false, reason: "invalid" };
+  session.queueId = entry.id;
+  Object.assign(entry, { status: "onRig", rigId, startedAt: session.startedAt });
+  changeQueue();
+  broadcastFleet();
+  audit(actor, "queueAssign", { target: entryName(entry), after: { rigId } });
+  return { ok: true, entry: viewQueueEntry(entry, true) };
+}
+
+// Rig sessions call this when they finish, are stopped or replaced
+function queueSessionEnded(session) {
+  const entry = session?.queueId && getQueueEntry(session.queueId);
+  if (!entry || entry.status !== "onRig") return;
+  entry.status = "done";
+  entry.finishedAt = new Date().toISOString();
+  entry.timedLaps = session.timedCount;
+  changeQueue();
+}
+
+function moveQueueEntry(id, dir, actor) {
+  const list = waitingEntries();
+  const i = list.findIndex(q => q.id === String(id || ""));
+  if (i < 0) return { ok: false, reason: "not_found" };
+  const j = i + (Number(dir) < 0 ? -1 : 1);
+  if (j < 0 || j >= list.length) return { ok: true };
+  const a = queue.indexOf(list[i]);
+  const b = queue.indexOf(list[j]);
+  [queue[a], queue[b]] = [queue[b], queue[a]];
+  changeQueue();
+  audit(actor, "queueMove", { target: entryName(list[i]), before: { position: i + 1 }, after: { position: j + 1 } });
+  return { ok: true };
+}
+
+// Waiting entries are dropped; a driver on a rig has their session stopped
+function removeQueueEntry(id, actor) {
+  const entry = getQueueEntry(id);
+  if (!entry) return { ok: false, reason: "not_found" };
+  const was = entry.status;
+  if (was === "onRig") {
+    const session = rigSessions.get(entry.rigId);
+    if (session?.queueId === entry.id && !session.finished) stopRigSession(entry.rigId);
+    else queueSessionEnded({ queueId: entry.id, timedCount: 0 });
+  } else if (was === "waiting") {
+    entry.status = "removed";
+    entry.finishedAt = new Date().toISOString();
+    changeQueue();
+  } else {
+    return { ok: false, reason: "not_waiting" };
+  }
+  audit(actor, "queueRemove", { target: entryName(entry), before: { status: was } });
+  return { ok: true };
+}
+
+function updateQueueSettings(patch, actor) {
+  const before = structuredClone(settings);
+  const next = queueSettings();
+  if (typeof patch?.open === "boolean") next.open = patch.open;
+  if (typeof patch?.joinUrl === "string") {
+    const url = patch.joinUrl.trim();
+    if (url && !/^https?:\/\/[^\s]+$/i.test(url)) return { ok: false, reason: "bad_url" };
+    next.joinUrl = url.slice(0, 200);
+  }
+  if (patch?.sessionMinutes !== undefined) {
+    const min = clampNum(patch.sessionMinutes, 1, 60);
+    if (min === null) return { ok: false, reason: "invalid" };
+    next.sessionMinutes = Math.round(min);
+  }
+  settings.queue = next;
+  saveSettings();
+  broadcastSettings();
+  broadcastQueue();
+  audit(actor, "queueSettings", settingsDiff(before));
+  return { ok: true, queue: next };
+}
+
+app.get("/api/queue", (req, res) => {
+  res.json({ ok: true, ...viewQueue(reqCan(req, "view")) });
+});
+
+app.post("/api/queue/join", express.json(), (req, res) => {
+  if (!queueJoinAllowed(req.ip)) return res.status(429).json({ ok: false, reason: "rate_limited" });
+  const r = addToQueue(req.body, { ip: req.ip });
+  if (!r.ok) return res.status(r.reason === "queue_closed" ? 403 : 400).json(r);
+  const position = waitingEntries().findIndex(q => q.id === r.entry.id) + 1;
+  res.json({ ...r, entry: { ...viewQueueEntry(getQueueEntry(r.entry.id), false), position } });
+});
+
+app.post("/api/queue/leave", express.json(), (req, res) => {
+  const r = leaveQueue(req.body?.id, req.body?.token, { ip: req.ip });
+  if (!r.ok) return res.status(r.reason === "not_found" ? 404 : 400).json(r);
+  res.json(r);
+});
+
+// -------------------- Telemetry ingest (UDP) --------------------
+// Rigs running the TelemetryRelay app send one JSON packet per tick. We keep the
+// latest sanitised packet per rig and rebroadcast it to the "telemetry" room
+// (everything) and "telemetry:<track>" rooms (one track only).
+const TELEMETRY_MAX_PACKET_BYTES = 2048;
+const TELEMETRY_MIN_INTERVAL_MS = 40;      // per rig (~25 Hz); the relay sends 10 Hz
+const TELEMETRY_MAX_PACKETS_PER_SEC = 100; // per source address, across all rig ids
+const TELEMETRY_STALE_MS = 15_000;
+
+const telemetryState = new Map();   // rigId -> latest packet
+const telemetryBudget = new Map();  // address -> { windowStart, count }
+
+function clampNum(v, min, max) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return null;
+  return Math.min(max, Math.max(min, n));
+}
+function cleanStr(v, max = 64) {
+  return String(v ?? "").replace(/[\u0000-\u001f]/g, "").trim().slice(0, max);
+}
+
+function sanitiseTelemetry(raw, rinfo) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return null;
+
+  const rigId = cleanStr(raw.rig || raw.rigId || rinfo.address, 48);
+  const x = clampNum(raw.x, -1e6, 1e6);
+  const y = clampNum(raw.y, -1e6, 1e6);
+  const lastLap = cleanStr(raw.lastLap, 16);
+
+  const packet = {
+    rigId,
+    track: cleanStr(raw.track).toLowerCase(),
+    driver: cleanStr(raw.driver),
+    car: cleanStr(raw.car),
+    lap: Math.trunc(clampNum(raw.lap, 0, 10_000) ?? 0),
+    lastLap: timeToMs(lastLap) !== Infinity ? lastLap : "",
+    lapInvalid: raw.lapInvalid === true,
+    lastLapInvalid: raw.lastLapInvalid === true,
+    lastSplits: Array.isArray(raw.lastSplits)
+      ? raw.lastSplits.slice(0, MAX_SPLITS).map(v => Math.round(clampNum(v, 0, 3_600_000) ?? 0))
+      : [],
+    delta: cleanStr(raw.delta, 16),
+    speed: Math.round(clampNum(raw.speed, 0, 500) ?? 0),
+    throttle: Math.round(clampNum(raw.throttle, 0, 100) ?? 0),
+    brake: Math.round(clampNum(raw.brake, 0, 100) ?? 0),
+    fuel: cleanStr(raw.fuel, 32),
+    tires: cleanStr(raw.tires, 32),
+    ers: cleanStr(raw.ers, 32),
+    x, y
+  };
+
+  if (!packet.rigId) return null;
+  return packet;
+}
+
+function telemetryAllowed(address, rigId, now) {
+  let b = telemetryBudget.get(address);
+  if (!b || now - b.windowStart >= 1000) {
+    b = { windowStart: now, count: 0 };
+    telemetryBudget.set(address, b);
+  }
+  if (++b.count > TELEMETRY_MAX_PACKETS_PER_SEC) return false;
+
+  const prev = telemetryState.get(rigId);
+  return !prev || now - prev.receivedAt >= TELEMETRY_MIN_INTERVAL_MS;
+}
+
+function ingestTelemetry(msg, rinfo) {
+  if (msg.length > TELEMETRY_MAX_PACKET_BYTES) return;
+
+  let raw;
+  try { raw = JSON.parse(msg.toString("utf-8")); } catch { return; }
+
+  const packet = sanitiseTelemetry(raw, rinfo);
+  if (!packet || getRig(packet.rigId)?.revokedAt) return;
+
+  const now = Date.now();
+  if (!telemetryAllowed(rinfo.address, packet.rigId, now)) return;
+  detectLapCompletion(packet, now, rinfo.address);
+
+  // Best lap carries over between packets until the rig changes driver or track
+  const prev = telemetryState.get(packet.rigId);
+  const sameRun = prev && prev.driver === packet.driver && prev.track === packet.track;
+  let bestLap = sameRun ? prev.bestLap : "";
+  if (packet.lastLap && (!bestLap || timeToMs(packet.lastLap) < timeToMs(bestLap))) bestLap = packet.lastLap;
+
+  const state = { ...packet, ...projectToMap(packet.track, packet.x, packet.y), bestLap, eventId: getLiveEvent()?.id, receivedAt: now };
+  telemetryState.set(packet.rigId, state);
+  recordTrackSample(packet);
+  recordTraceSample(packet, now);
+
+  let target = io.to("telemetry");
+  if (state.track) target = target.to(`telemetry:${state.track}`);
+  // Telemetry pages never sign in, so the live stream always follows the privacy settings
+  target.emit("telemetryUpdate", viewTelemetry(state, false));
+}
+
+function viewTelemetry(state, full) {
+  return full || !state.driver ? state : { ...state, driver: redactDriverName(state.driver) };
+}
+
+function getTelemetrySnapshot(track, full = false) {
+  let list = [...telemetryState.values()];
+  if (track) list = list.filter(t => t.track === track);
+  return list.map(t => viewTelemetry(t, full));
+}
+
+// Drop rigs that stopped sending so pages don't show ghosts
+setInterval(() => {
+  const now = Date.now();
+  for (const [rigId, t] of telemetryState.entries()) {
+    if (now - t.receivedAt < TELEMETRY_STALE_MS) continue;
+    telemetryState.delete(rigId);
+    lapBuffers.delete(rigId);
+    let target = io.to("telemetry");
+    if (t.track) target = target.to(`telemetry:${t.track}`);
+    target.emit("telemetryStale", { rigId });
+  }
+  for (const [addr, b] of telemetryBudget.entries()) {
+    if (now - b.windowStart > 60_000) telemetryBudget.delete(addr);
+  }
+}, 5000);
+
+if (TELEMETRY_UDP_PORT > 0) {
+  const udp = dgram.createSocket("udp4");
+  udp.on("message", ingestTelemetry);
+  udp.on("error", (e) => {
+    console.error("Telemetry UDP error:", e);
+    udp.close();
+  });
+  udp.bind(TELEMETRY_UDP_PORT, () => console.log(`Telemetry UDP listening on :${TELEMETRY_UDP_PORT}`));
+}
+
+app.get("/api/telemetry", (req, res) => {
+  const track = String(req.query.track || "").trim().toLowerCase();
+  res.json(getTelemetrySnapshot(track, reqCan(req, "view")));
+});
 
-  return { removedScores, removedAttempts };
+// -------------------- Lap traces (recording + replay) --------------------
+// Each telemetry packet is appended to the rig's current lap buffer. When the
+// lap closes, the buffer rides along with the pending lap into completeRigLap,
+// which writes timed laps to traces/<id>.json.gz and links them to the attempt.
+// Files are column-oriented (one array per field) and gzipped.
+const TRACE_FIELDS = ["t", "d", "speed", "throttle", "brake", "x", "y"]; // ms, metres, km/h, %, %, world x/z
+const TRACE_MAX_SAMPLES = 6000; // 10 minutes at the relay's 10 Hz
+const TRACE_MIN_SAMPLES = 10;
+const TRACE_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+const lapBuffers = new Map(); // rigId -> { lap, startedAt, dist, prev, samples }
+let traceIndex = loadJson(TRACE_INDEX_FILE, []);
+
+function saveTraceIndex() {
+  fs.mkdirSync(TRACES_DIR, { recursive: true });
+  saveJson(TRACE_INDEX_FILE, traceIndex);
 }
 
-function clearDemoData() {
-  const beforeScores = scores.length;
-  const beforeAttempts = attempts.length;
+// The trace index is the last collection to load, so older data can be linked to
+// driver ids and catalogue names now; ratings are then rebuilt from whatever is on disk
+migrateDriverIds();
+if (catalogueSeeded) renameSeededRows();
+recomputeRatings();
+
+function recordTraceSample(packet, now) {
+  let buf = lapBuffers.get(packet.rigId);
+  if (!buf || buf.lap !== packet.lap) {
+    buf = { lap: packet.lap, startedAt: now, dist: 0, prev: null, samples: [] };
+    lapBuffers.set(packet.rigId, buf);
+  }
+  if (buf.samples.length >= TRACE_MAX_SAMPLES) return;
 
-  scores = scores.filter(s => !s.demo);
-  attempts = attempts.filter(a => !a.demo);
+  const hasPos = packet.x !== null && packet.y !== null;
+  if (hasPos && buf.prev) buf.dist += Math.hypot(packet.x - buf.prev[0], packet.y - buf.prev[1]);
+  if (hasPos) buf.prev = [packet.x, packet.y];
 
-  const removedScores = beforeScores - scores.length;
-  const removedAttempts = beforeAttempts - attempts.length;
+  const r1 = (n) => (n === null ? null : Math.round(n * 10) / 10);
+  buf.samples.push([now - buf.startedAt, r1(buf.dist), packet.speed, packet.throttle, packet.brake, r1(packet.x), r1(packet.y)]);
+}
 
-  saveScores();
-  saveAttempts();
+function takeLapBuffer(rigId) {
+  const buf = lapBuffers.get(rigId);
+  lapBuffers.delete(rigId);
+  return buf || null;
+}
 
-  io.emit("clearDemo");
-  broadcastCounts();
+function saveLapTrace(buf, meta) {
+  const entry = { ...meta, samples: buf.samples.length, distance: Math.round(buf.dist) };
+  const doc = { v: 1, ...entry, fields: TRACE_FIELDS, cols: TRACE_FIELDS.map((_, i) => buf.samples.map(s => s[i])) };
+  try {
+    fs.mkdirSync(TRACES_DIR, { recursive: true });
+    fs.writeFileSync(path.join(TRACES_DIR, `${entry.id}.json.gz`), zlib.gzipSync(JSON.stringify(doc)));
+  } catch (e) {
+    console.error("Trace save failed:", entry.id, e);
+    return null;
+  }
+  traceIndex.push(entry);
+  saveTraceIndex();
+  emitPrivate("traceAdded", full => (full ? entry : redactPerson(entry)));
+  return entry;
+}
 
-  return { removedScores, removedAttempts };
+function loadLapTrace(id) {
+  if (!TRACE_ID_RE.test(id)) return null;
+  try {
+    return JSON.parse(zlib.gunzipSync(fs.readFileSync(path.join(TRACES_DIR, `${id}.json.gz`))).toString("utf-8"));
+  } catch {
+    return null;
+  }
 }
 
-function deleteLeaderboardRowById(id) {
-  const before = scores.length;
-  scores = scores.filter(s => s.id !== id);
-  const removed = before - scores.length;
-  saveScores();
-  if (removed) io.emit("deleteScore", { id });
-  broadcastCounts();
-  return removed;
+// Keep traces where keep(meta) is true; returns the removed index entries.
+// With stashDir the files are moved there (for undo) instead of deleted.
+function pruneTraces(keep, stashDir = null) {
+  const drop = traceIndex.filter(t => !keep(t));
+  if (!drop.length) return [];
+  if (stashDir) fs.mkdirSync(stashDir, { recursive: true });
+  for (const t of drop) {
+    const file = path.join(TRACES_DIR, `${t.id}.json.gz`);
+    try {
+      if (stashDir) fs.renameSync(file, path.join(stashDir, `${t.id}.json.gz`));
+      else fs.unlinkSync(file);
+    } catch {}
+  }
+  traceIndex = traceIndex.filter(t => keep(t));
+  saveTraceIndex();
+  return drop;
 }
 
-// -------------------- Cleanup (NEW) --------------------
-function cleanupOldData(olderThanDays, alsoScores = false) {
-  const days = Number(olderThanDays);
-  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+app.get("/api/traces", (req, res) => {
+  const q = String(req.query.q || "").trim().toLowerCase();
+  const track = String(req.query.track || "").trim().toLowerCase();
+  const rigId = String(req.query.rigId || "").trim();
+  const attemptId = String(req.query.attemptId || "").trim();
+  const eventId = String(req.query.eventId || "").trim();
+  const limit = Math.min(parseInt(req.query.limit || "100", 10) || 100, 1000);
 
-  const beforeAttempts = attempts.length;
-  attempts = attempts.filter(a => new Date(a.createdAt).getTime() >= cutoff);
-  const removedAttempts = beforeAttempts - attempts.length;
+  // Search runs on the names the caller is allowed to see
+  let list = reqCan(req, "view") ? traceIndex : traceIndex.map(redactPerson);
+  if (track) list = list.filter(t => String(t.track).toLowerCase() === track);
+  if (rigId) list = list.filter(t => t.rigId === rigId);
+  if (attemptId) list = list.filter(t => t.attemptId === attemptId);
+  if (eventId) list = list.filter(t => t.eventId === eventId);
+  if (q) list = list.filter(t => `${t.first} ${t.last} ${t.track} ${t.car} ${t.rigId}`.toLowerCase().includes(q));
 
-  let removedScores = undefined;
-  if (alsoScores) {
-    const beforeScores = scores.length;
-    scores = scores.filter(s => new Date(s.createdAt).getTime() >= cutoff);
-    removedScores = beforeScores - scores.length;
-    saveScores();
-    io.emit("loadScores", scores); // refresh clients
-    broadcastCounts();
+  list = list.slice().sort((a, b) => new Date(b.recordedAt) - new Date(a.recordedAt));
+  res.json(list.slice(0, limit));
+});
+
+app.get("/api/traces/:id", (req, res) => {
+  const trace = loadLapTrace(String(req.params.id));
+  if (!trace) return res.status(404).json({ ok: false, reason: "not_found" });
+
+  // Project positions with the track's current calibration so /map can replay them
+  const project = loadTrackDef(trace.trackId || "")?.project;
+  if (project) {
+    const xs = trace.cols[trace.fields.indexOf("x")];
+    const ys = trace.cols[trace.fields.indexOf("y")];
+    const pts = xs.map((x, i) => (x === null || ys[i] === null ? null : project(x, ys[i])));
+    trace.fields.push("mapX", "mapY");
+    trace.cols.push(pts.map(p => (p ? Math.round(p.mapX * 10) / 10 : null)), pts.map(p => (p ? Math.round(p.mapY * 10) / 10 : null)));
   }
+  res.json(reqCan(req, "view") ? trace : redactPerson(trace));
+});
 
-  saveAttempts();
-  return { removedAttempts, removedScores };
+// -------------------- Lap comparison --------------------
+// Two traces are resampled onto the same grid of lap-distance fractions so
+// laps of slightly different recorded length still line up corner for corner.
+const COMPARE_POINTS = 400;
+const DEFAULT_SECTORS = [1 / 3, 2 / 3]; // sector boundaries as fractions of the lap
+
+function resampleByDistance(trace, points) {
+  const col = (f) => trace.cols[trace.fields.indexOf(f)] || [];
+  const t = col("t"), d = col("d"), speed = col("speed"), throttle = col("throttle"), brake = col("brake");
+  const total = d[d.length - 1] || 0;
+  if (d.length < 2 || !(total > 0)) return null;
+
+  // Stretch sample clocks so the lap ends on the official time (the relay is only 10 Hz)
+  const officialMs = timeToMs(trace.time);
+  const scale = officialMs !== Infinity && t[t.length - 1] > 0 ? officialMs / t[t.length - 1] : 1;
+
+  const out = { total, t: [], speed: [], throttle: [], brake: [] };
+  let j = 0;
+  for (let i = 0; i < points; i++) {
+    const target = (total * i) / (points - 1);
+    while (j < d.length - 2 && d[j + 1] < target) j++;
+    const span = d[j + 1] - d[j];
+    const f = span > 0 ? Math.min(1, Math.max(0, (target - d[j]) / span)) : 0;
+    const lerp = (c) => (c[j] ?? 0) + ((c[j + 1] ?? 0) - (c[j] ?? 0)) * f;
+    out.t.push(Math.round(lerp(t) * scale));
+    out.speed.push(Math.round(lerp(speed)));
+    out.throttle.push(Math.round(lerp(throttle)));
+    out.brake.push(Math.round(lerp(brake)));
+  }
+  return out;
 }
 
-// -------------------- Demo + TV cycle --------------------
-let demoInterval = null;
-let tvCycleInterval = null;
+function trackSectors(trackId) {
+  const sectors = loadTrackDef(trackId || "")?.def?.sectors;
+  const valid = Array.isArray(sectors) && sectors.every(f => Number.isFinite(f) && f > 0 && f < 1);
+  return valid ? sectors.slice().sort((a, b) => a - b) : DEFAULT_SECTORS;
+}
 
-const demoDrivers = [
-  ["Alex", "Turner"], ["Maya", "Singh"], ["Jordan", "Evans"], ["Sam", "Walker"],
-  ["Chris", "Patel"], ["Ellie", "Jones"], ["Noah", "Reed"], ["Priya", "Shah"],
-  ["Liam", "Carter"], ["Zoe", "Bennett"], ["Owen", "Clarke"], ["Ava", "Hughes"]
-];
-const acCars = ["BMW M4 GT3","Ferrari 488 GT3","Porsche 911 GT3 R","McLaren 720S GT3","Audi R8 LMS GT3"];
-const acTracks = ["Spa-Francorchamps","Monza","Silverstone GP","Imola","Nürburgring GP"];
-const f1Cars = ["Red Bull","Ferrari","Mercedes","McLaren","Aston Martin"];
-const f1Tracks = ["Silverstone","Suzuka","Bahrain","Monza","Interlagos"];
-const cohorts = ["Staff","Y1","Y2","Y3","Guest"];
-const courses = ["Games","Computing","Animation","Esports"];
-const rand = (arr) => arr[Math.floor(Math.random() * arr.length)];
+function trackMiniSectors(trackId) {
+  const mini = loadTrackDef(trackId || "")?.def?.miniSectors;
+  if (Number.isInteger(mini) && mini >= 2 && mini <= MAX_SPLITS) {
+    return Array.from({ length: mini - 1 }, (_, i) => (i + 1) / mini);
+  }
+  const valid = Array.isArray(mini) && mini.length < MAX_SPLITS && mini.every(f => Number.isFinite(f) && f > 0 && f < 1);
+  return valid ? mini.slice().sort((a, b) => a - b) : null;
+}
 
-function genLapTime(game) {
-  const m = 1;
-  const s = game === "Assetto Corsa" ? (10 + Math.floor(Math.random() * 50)) : (15 + Math.floor(Math.random() * 40));
-  const ms = Math.floor(Math.random() * 1000).toString().padStart(3, "0");
-  return `${m}:${String(s).padStart(2, "0")}.${ms}`;
+// Split times (ms) between boundary fractions of the lap distance, stretched to the official lap time
+function splitsFromTrace(t, d, lapMs, fractions) {
+  const total = d[d.length - 1] || 0;
+  if (d.length < 2 || !(total > 0) || !(t[t.length - 1] > 0)) return undefined;
+  const scale = lapMs / t[t.length - 1];
+
+  let j = 0;
+  const at = (target) => {
+    while (j < d.length - 2 && d[j + 1] < target) j++;
+    const span = d[j + 1] - d[j];
+    const f = span > 0 ? Math.min(1, Math.max(0, (target - d[j]) / span)) : 0;
+    return (t[j] + (t[j + 1] - t[j]) * f) * scale;
+  };
+  const marks = [0, ...fractions.map(f => at(f * total)), lapMs];
+  const splits = marks.slice(1).map((m, i) => Math.round(m - marks[i]));
+  splits[splits.length - 1] += lapMs - splits.reduce((a, b) => a + b, 0); // absorb rounding
+  return splits;
 }
 
-function pushDemoOne(seedEventId) {
-  const game = Math.random() < 0.5 ? "Assetto Corsa" : "F1 25";
-  const [first, last] = rand(demoDrivers);
+// "leader": fastest leaderboard row for the same game+track+event;
+// "pb": the same driver's leaderboard row. Falls back to the fastest matching trace.
+function resolveReferenceTrace(meta, kind) {
+  const sameTrack = (x) => String(x.track).toLowerCase() === String(meta.track).toLowerCase() && x.game === meta.game;
+  const sameDriver = (x) => x.driverId === meta.driverId;
+  const match = kind === "pb"
+    ? (x) => sameTrack(x) && sameDriver(x)
+    : (x) => sameTrack(x) && x.eventId === meta.eventId;
+  const fastest = (list) => list.slice().sort((a, b) => timeToMs(a.time) - timeToMs(b.time));
+
+  for (const row of fastest(scores.filter(match))) {
+    if (row.traceId && row.traceId !== meta.id && traceIndex.some(t => t.id === row.traceId)) return row.traceId;
+  }
+  return fastest(traceIndex.filter(t => t.id !== meta.id && t.time && match(t)))[0]?.id || null;
+}
 
-  submitLap({
-    first, last,
-    time: genLapTime(game),
-    day: new Date().toLocaleDateString("en-GB", { weekday: "short" }),
-    game,
-    car: game === "Assetto Corsa" ? rand(acCars) : rand(f1Cars),
-    track: game === "Assetto Corsa" ? rand(acTracks) : rand(f1Tracks),
-    cohort: rand(cohorts),
-    course: rand(courses),
-    eventId: seedEventId || (getLiveEvent()?.id ?? "evt_default"),
-    createdAt: new Date().toISOString(),
-    demo: true
+function compareTraces(idA, idB) {
+  const metaA = traceIndex.find(t => t.id === idA);
+  if (!metaA) return { ok: false, reason: "not_found" };
+  if (idB === "leader" || idB === "pb") idB = resolveReferenceTrace(metaA, idB);
+  if (!idB) return { ok: false, reason: "no_reference" };
+
+  const traceA = loadLapTrace(idA);
+  const traceB = loadLapTrace(idB);
+  if (!traceA || !traceB) return { ok: false, reason: "not_found" };
+
+  const a = resampleByDistance(traceA, COMPARE_POINTS);
+  const b = resampleByDistance(traceB, COMPARE_POINTS);
+  if (!a || !b) return { ok: false, reason: "no_distance" };
+
+  const delta = a.t.map((t, i) => t - b.t[i]); // positive = lap A behind
+  const bounds = [0, ...trackSectors(traceB.trackId), 1].map(f => Math.round(f * (COMPARE_POINTS - 1)));
+  const sectors = bounds.slice(1).map((end, i) => {
+    const start = bounds[i];
+    const sa = a.t[end] - a.t[start];
+    const sb = b.t[end] - b.t[start];
+    return { sector: i + 1, start, end, a: sa, b: sb, delta: sa - sb };
   });
+
+  const strip = ({ fields, cols, v, ...meta }) => meta;
+  return {
+    ok: true,
+    points: COMPARE_POINTS,
+    distance: a.t.map((_, i) => Math.round((b.total * i) / (COMPARE_POINTS - 1))),
+    laps: [{ ...strip(traceA), ...a }, { ...strip(traceB), ...b }],
+    delta,
+    sectors
+  };
 }
 
-function setDemo(enabled, rateMs = 4000, seed = false) {
-  settings.demoEnabled = !!enabled;
-  settings.demoRateMs = Number(rateMs || 4000);
-  saveSettings();
-  io.emit("settingsUpdate", getPublicSettings());
+app.get("/api/compare", (req, res) => {
+  const result = compareTraces(String(req.query.a || "").trim(), String(req.query.b || "leader").trim());
+  if (!result.ok) return res.status(result.reason === "not_found" ? 404 : 422).json(result);
+  if (!reqCan(req, "view")) result.laps = result.laps.map(redactPerson);
+  res.json(result);
+});
 
-  if (demoInterval) clearInterval(demoInterval);
-  demoInterval = null;
+// -------------------- Track maps (calibration + reference laps) --------------------
+// public/tracks/<id>.json may carry a "calibration" block that maps world x/z
+// from the relay onto the SVG viewBox: either an affine "transform"
+// [a, b, c, d, e, f] (mapX = a*x + b*y + c, mapY = d*x + e*y + f) or three or
+// more reference "points" [{ world: [x, z], map: [x, y] }] fitted by least squares.
+const TRACKS_DIR = path.join(__dirname, "public", "tracks");
+const TRACK_ID_RE = /^[a-z0-9][a-z0-9_-]{0,47}$/;
+const REF_LAP_MIN_POINTS = 50;
+const REF_LAP_MAX_POINTS = 20_000;
+const REF_LAP_VIEW = { width: 1000, height: 560, pad: 40 };
+
+const trackCache = new Map();      // trackId -> { mtimeMs, def, project }
+const trackRecordings = new Map(); // rigId -> reference lap recording
+
+// Solve a 3x3 linear system (Cramer's rule); null when singular
+function solve3(m, v) {
+  const det = (a) =>
+    a[0][0] * (a[1][1] * a[2][2] - a[1][2] * a[2][1]) -
+    a[0][1] * (a[1][0] * a[2][2] - a[1][2] * a[2][0]) +
+    a[0][2] * (a[1][0] * a[2][1] - a[1][1] * a[2][0]);
+  const d = det(m);
+  if (!Number.isFinite(d) || Math.abs(d) < 1e-12) return null;
+  return [0, 1, 2].map(col => det(m.map((row, i) => row.map((x, j) => (j === col ? v[i] : x)))) / d);
+}
 
-  if (enabled) {
-    const targetEventId = getLiveEvent()?.id ?? "evt_default";
-    if (seed) for (let i = 0; i < 18; i++) pushDemoOne(targetEventId);
-    demoInterval = setInterval(() => pushDemoOne(targetEventId), settings.demoRateMs);
+function fitAffine(points) {
+  const valid = (points || []).filter(p =>
+    Array.isArray(p?.world) && Array.isArray(p?.map) &&
+    [...p.world, ...p.map].slice(0, 4).every(Number.isFinite));
+  if (valid.length < 3) return null;
+
+  // Normal equations for [a b c] and [d e f] share the same matrix
+  const m = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  const vx = [0, 0, 0];
+  const vy = [0, 0, 0];
+  for (const { world: [x, y], map: [X, Y] } of valid) {
+    const row = [x, y, 1];
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) m[i][j] += row[i] * row[j];
+      vx[i] += row[i] * X;
+      vy[i] += row[i] * Y;
+    }
   }
+  const abc = solve3(m, vx);
+  const def = solve3(m, vy);
+  return abc && def ? [...abc, ...def] : null;
 }
 
-function setTvCycle(enabled, rateMs = 15000) {
-  settings.tvCycleEnabled = !!enabled;
-  settings.tvCycleRateMs = Number(rateMs || 15000);
-  saveSettings();
-  io.emit("settingsUpdate", getPublicSettings());
-
-  if (tvCycleInterval) clearInterval(tvCycleInterval);
-  tvCycleInterval = null;
+function makeProjection(calibration) {
+  let t = calibration?.transform;
+  if (!(Array.isArray(t) && t.length === 6 && t.every(Number.isFinite))) t = fitAffine(calibration?.points);
+  if (!t) return null;
+  const [a, b, c, d, e, f] = t;
+  return (x, y) => ({ mapX: a * x + b * y + c, mapY: d * x + e * y + f });
+}
 
-  if (enabled) {
-    const cycle = ["", "Assetto Corsa", "F1 25"];
-    let idx = 0;
-    tvCycleInterval = setInterval(() => {
-      idx = (idx + 1) % cycle.length;
-      io.emit("tvCycleStep", { game: cycle[idx] });
-    }, settings.tvCycleRateMs);
+function loadTrackDef(trackId) {
+  if (!TRACK_ID_RE.test(trackId)) return null;
+  const file = path.join(TRACKS_DIR, `${trackId}.json`);
+  try {
+    const { mtimeMs } = fs.statSync(file);
+    const cached = trackCache.get(trackId);
+    if (cached && cached.mtimeMs === mtimeMs) return cached;
+    const def = JSON.parse(fs.readFileSync(file, "utf-8"));
+    const entry = { mtimeMs, def, project: makeProjection(def.calibration) };
+    trackCache.set(trackId, entry);
+    return entry;
+  } catch {
+    trackCache.delete(trackId);
+    return null;
   }
 }
 
-// Restore intervals
-if (settings.demoEnabled) setDemo(true, settings.demoRateMs, false);
-if (settings.tvCycleEnabled) setTvCycle(true, settings.tvCycleRateMs);
+function projectToMap(trackId, x, y) {
+  if (x === null || y === null) return null;
+  const project = loadTrackDef(trackId)?.project;
+  if (!project) return null;
+  const { mapX, mapY } = project(x, y);
+  return { mapX: Math.round(mapX * 10) / 10, mapY: Math.round(mapY * 10) / 10 };
+}
 
-// -------------------- APIs --------------------
-app.get("/api/settings", (req, res) => res.json(getPublicSettings()));
-app.get("/api/scores", (req, res) => res.json(scores));
-app.get("/api/events", (req, res) => res.json(settings.events));
-app.get("/api/ratings", (req, res) => res.json(ratings));
+// Reference lap: armed until the rig next crosses the line, then records
+// world positions for one full lap and writes a new track file from them.
+function startTrackRecording(rigId, trackId, name, overwrite) {
+  if (!rigId) return { ok: false, reason: "no_rig_id" };
+  if (!TRACK_ID_RE.test(trackId)) return { ok: false, reason: "bad_track_id" };
+  if (!overwrite && fs.existsSync(path.join(TRACKS_DIR, `${trackId}.json`))) return { ok: false, reason: "exists" };
+
+  const rec = { rigId, trackId, name: cleanStr(name) || trackId, state: "armed", startLap: null, points: [], startedAt: new Date().toISOString() };
+  trackRecordings.set(rigId, rec);
+  io.emit("trackRecordStatus", publicTrackRecording(rec));
+  return { ok: true };
+}
 
-// -------------------- Rig endpoints --------------------
-// Track simple rig state (lastSeen timestamp) and accept rig lap submissions
-const rigState = {
-  lastSeen: null,
-  queuedTotal: 0
-};
+function cancelTrackRecording(rigId) {
+  const rec = trackRecordings.get(rigId);
+  if (!rec) return false;
+  trackRecordings.delete(rigId);
+  io.emit("trackRecordStatus", { ...publicTrackRecording(rec), state: "cancelled" });
+  return true;
+}
 
-app.get('/api/rig/state', (req, res) => {
-  res.json({ ok: true, rig: settings.rig || { enabled: false, timedLaps: 3, outLaps: 1 }, lastSeen: rigState.lastSeen, queuedTotal: rigState.queuedTotal, liveEventName: getLiveEvent()?.name });
-});
+function publicTrackRecording(rec) {
+  return { rigId: rec.rigId, trackId: rec.trackId, name: rec.name, state: rec.state, points: rec.points.length, startedAt: rec.startedAt };
+}
 
-app.post('/api/submit-lap', express.json(), (req, res) => {
-  // Require RIG key if present in settings
-  const rigKeyHeader = String(req.headers['x-rig-key'] || '').trim();
-  const allowedKey = settings.rig?.key || null;
-  if (settings.rig && settings.rig.enabled) {
-    if (allowedKey && allowedKey.length && rigKeyHeader !== allowedKey) {
-      return res.status(403).json({ ok: false, reason: 'bad_key' });
-    }
-  } else {
-    return res.status(403).json({ ok: false, reason: 'rig_disabled' });
+function recordTrackSample(packet) {
+  const rec = trackRecordings.get(packet.rigId);
+  if (!rec || packet.x === null || packet.y === null) return;
+
+  if (rec.state === "armed") {
+    if (rec.startLap === null) rec.startLap = packet.lap;
+    if (packet.lap === rec.startLap) return;
+    rec.state = "recording";
+    rec.startLap = packet.lap;
+    io.emit("trackRecordStatus", publicTrackRecording(rec));
   }
 
-  rigState.lastSeen = new Date().toISOString();
+  if (packet.lap === rec.startLap) {
+    if (rec.points.length < REF_LAP_MAX_POINTS) rec.points.push([packet.x, packet.y]);
+    return;
+  }
 
-  const payload = req.body;
-  if (!payload) return res.status(400).json({ ok: false, reason: 'no_body' });
+  trackRecordings.delete(packet.rigId);
+  const result = buildTrackFromLap(rec);
+  io.emit("trackRecordStatus", { ...publicTrackRecording(rec), state: result.ok ? "done" : "failed", reason: result.reason });
+}
 
-  // server-side sanitise + submit
-  const result = submitLap(payload);
-  if (result.ok) {
-    return res.json({ ok: true, mode: result.mode });
+function buildTrackFromLap(rec) {
+  if (rec.points.length < REF_LAP_MIN_POINTS) return { ok: false, reason: "too_few_points" };
+
+  const xs = rec.points.map(p => p[0]);
+  const ys = rec.points.map(p => p[1]);
+  const minX = Math.min(...xs), maxX = Math.max(...xs);
+  const minY = Math.min(...ys), maxY = Math.max(...ys);
+  const { width, height, pad } = REF_LAP_VIEW;
+  const scale = Math.min((width - 2 * pad) / Math.max(1e-6, maxX - minX), (height - 2 * pad) / Math.max(1e-6, maxY - minY));
+  const offX = pad + ((width - 2 * pad) - (maxX - minX) * scale) / 2;
+  const offY = pad + ((height - 2 * pad) - (maxY - minY) * scale) / 2;
+  const transform = [scale, 0, offX - minX * scale, 0, scale, offY - minY * scale];
+  const project = makeProjection({ transform });
+
+  // Drop points closer than 4 map units to keep the path small
+  const pts = [];
+  for (const [x, y] of rec.points) {
+    const { mapX, mapY } = project(x, y);
+    const last = pts[pts.length - 1];
+    if (!last || Math.hypot(mapX - last[0], mapY - last[1]) >= 4) pts.push([mapX, mapY]);
   }
-  return res.status(400).json(result);
-});
-
-// Admin import of queued laps (upload JSON array)
-app.post('/api/rig/flush', express.json(), (req, res) => {
-  const pin = String(req.headers['x-admin-pin'] || '');
-  if (!isAdmin(pin)) return res.status(403).json({ ok: false, reason: 'denied' });
-  const body = req.body;
-  if (!Array.isArray(body)) return res.status(400).json({ ok: false, reason: 'bad_payload' });
-  let imported = 0;
-  for (const item of body) {
-    const r = submitLap(item);
-    if (r.ok) imported++;
+  let lengthM = 0;
+  for (let i = 1; i < rec.points.length; i++) {
+    lengthM += Math.hypot(rec.points[i][0] - rec.points[i - 1][0], rec.points[i][1] - rec.points[i - 1][1]);
   }
-  saveScores(); saveAttempts();
-  return res.json({ ok: true, imported });
+  const pathD = pts.map(([x, y], i) => `${i ? "L" : "M"}${x.toFixed(1)},${y.toFixed(1)}`).join(" ") + " Z";
+
+  const def = {
+    id: rec.trackId,
+    name: rec.name,
+    viewBox: `0 0 ${width} ${height}`,
+    path: pathD,
+    lengthM: Math.round(lengthM),
+    calibration: { transform: transform.map(n => Math.round(n * 1e6) / 1e6) },
+    recordedFrom: rec.rigId,
+    recordedAt: new Date().toISOString()
+  };
+  try {
+    fs.writeFileSync(path.join(TRACKS_DIR, `${rec.trackId}.json`), JSON.stringify(def, null, 2), "utf-8");
+  } catch (e) {
+    console.error("Track write failed:", rec.trackId, e);
+    return { ok: false, reason: "write_failed" };
+  }
+  return { ok: true };
+}
+
+app.get("/api/tracks", (req, res) => {
+  let files = [];
+  try { files = fs.readdirSync(TRACKS_DIR).filter(f => f.endsWith(".json")); } catch {}
+  res.json(files.map(f => {
+    const def = loadTrackDef(f.slice(0, -5))?.def;
+    return def ? { id: def.id || f.slice(0, -5), name: def.name, calibrated: !!makeProjection(def.calibration) } : null;
+  }).filter(Boolean));
 });
 
-app.get("/api/attempts", (req, res) => {
-  const q = String(req.query.q || "").trim().toLowerCase();
-  const limit = Math.min(parseInt(req.query.limit || "250", 10), 2000);
+// -------------------- Socket.IO --------------------
+io.on("connection", (socket) => {
+  sendBoards(socket, false);
+  broadcastCounts();
 
-  const eventId = String(req.query.eventId || "").trim();
-  const game = String(req.query.game || "").trim();
+  if (socket.handshake.auth?.token) attachSession(socket, socket.handshake.auth.token);
 
-  let list = attempts;
+  // Staff sign in once per socket; the token can be kept by the page to resume after a reload
+  socket.on("adminLogin", ({ username, password } = {}) => {
+    const r = login(username, password, socket.handshake.address);
+    if (!r.ok) return socket.emit("adminSession", r);
+    attachSession(socket, r.token);
+  });
 
-  if (eventId) list = list.filter(a => a.eventId === eventId);
-  if (game) list = list.filter(a => a.game === game);
+  socket.on("adminResume", ({ token } = {}) => attachSession(socket, token));
 
-  if (q) {
-    list = list.filter(a => {
-      const hay = `${a.first} ${a.last} ${a.track} ${a.car} ${a.game} ${a.course} ${a.cohort}`.toLowerCase();
-      return hay.includes(q);
-    });
-  }
+  socket.on("adminLogout", () => {
+    if (socket.data.token) auditSocket(socket, "logout");
+    sessions.delete(socket.data.token);
+    attachSession(socket, null);
+  });
 
-  list = list.slice().sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-  res.json(list.slice(0, limit));
-});
+  socket.on("adminChangePassword", ({ current, next } = {}) => {
+    const session = getSession(socket.data.token);
+    if (!session) return socket.emit("adminResult", { ok: false, action: "changePassword", reason: "denied" });
+    const r = changePassword(session, current, next);
+    socket.emit("adminResult", { ...r, action: "changePassword" });
+  });
 
-// -------------------- Socket.IO --------------------
-io.on("connection", (socket) => {
-  socket.emit("loadScores", scores);
-  socket.emit("settingsUpdate", getPublicSettings());
-  socket.emit("ratingsUpdate", ratings);
-  broadcastCounts();
+  // Accounts
+  socket.on("adminUsersList", () => {
+    if (!can(socket, "users")) return socket.emit("adminResult", { ok: false, action: "usersList", reason: "denied" });
+    socket.emit("adminUsers", users.map(publicUser));
+  });
 
-  socket.on("newScore", (data) => {
-    const result = submitLap(data);
-    socket.emit("submitResult", result);
+  socket.on("adminUserSave", ({ user } = {}) => {
+    if (!can(socket, "users")) return socket.emit("adminResult", { ok: false, action: "userSave", reason: "denied" });
+    const r = saveUser(user, socketActor(socket));
+    socket.emit("adminResult", { ...r, action: "userSave" });
+    if (r.ok) socket.emit("adminUsers", users.map(publicUser));
+  });
+
+  socket.on("adminUserDelete", ({ username } = {}) => {
+    if (!can(socket, "users")) return socket.emit("adminResult", { ok: false, action: "userDelete", reason: "denied" });
+    const r = deleteUser(username, getSession(socket.data.token).user);
+    socket.emit("adminResult", { ...r, action: "userDelete" });
+    if (r.ok) socket.emit("adminUsers", users.map(publicUser));
+  });
+
+  // Audit log + undo
+  socket.on("adminAuditList", (opts = {}) => {
+    if (!can(socket, "audit")) return socket.emit("adminResult", { ok: false, action: "auditList", reason: "denied" });
+    socket.emit("adminAudit", queryAudit(opts));
+  });
+
+  // Undo needs whatever permission the original action needed (a marshal can restore a row they deleted)
+  socket.on("adminUndo", ({ snapshotId } = {}) => {
+    const snap = snapshotIndex.find(s => s.id === snapshotId);
+    if (!can(socket, snap?.perm || "data")) return socket.emit("adminResult", { ok: false, action: "undo", reason: "denied" });
+    const r = undoSnapshot(String(snapshotId || ""), socketActor(socket));
+    socket.emit("adminResult", { ...r, action: "undo" });
+  });
+
+  // Ratings are rebuilt automatically; this is for checking or after editing files by hand
+  socket.on("adminRecomputeRatings", () => {
+    if (!can(socket, "data")) return socket.emit("adminResult", { ok: false, action: "recomputeRatings", reason: "denied" });
+    const n = Object.keys(recomputeRatings()).length;
+    auditSocket(socket, "recomputeRatings", { after: { ratings: n } });
+    socket.emit("adminResult", { ok: true, action: "recomputeRatings", ratings: n });
+  });
+
+  // Tournaments
+  socket.on("adminTournamentSave", ({ tournament } = {}) => {
+    if (!can(socket, "events")) return socket.emit("adminResult", { ok: false, action: "tournamentSave", reason: "denied" });
+    socket.emit("adminResult", { action: "tournamentSave", ...saveTournament(tournament, socketActor(socket)) });
+  });
+
+  socket.on("adminTournamentStage", ({ id, stage } = {}) => {
+    if (!can(socket, "events")) return socket.emit("adminResult", { ok: false, action: "tournamentStage", reason: "denied" });
+    socket.emit("adminResult", { action: "tournamentStage", stage, ...setTournamentStage(id, stage, socketActor(socket)) });
+  });
+
+  socket.on("adminTournamentHeat", ({ id, heatId, heatAction, times } = {}) => {
+    if (!can(socket, "events")) return socket.emit("adminResult", { ok: false, action: "tournamentHeat", reason: "denied" });
+    socket.emit("adminResult", { action: "tournamentHeat", heatAction, ...updateHeat(id, heatId, heatAction, times, socketActor(socket)) });
+  });
+
+  socket.on("adminTournamentDelete", ({ id } = {}) => {
+    if (!can(socket, "events")) return socket.emit("adminResult", { ok: false, action: "tournamentDelete", reason: "denied" });
+    socket.emit("adminResult", { action: "tournamentDelete", ...deleteTournament(id, socketActor(socket)) });
+  });
+
+  // Catalogue
+  socket.on("adminCatalogueSave", ({ catalogue: input } = {}) => {
+    if (!can(socket, "settings")) return socket.emit("adminResult", { ok: false, action: "catalogueSave", reason: "denied" });
+    socket.emit("adminResult", { action: "catalogueSave", ...setCatalogue(input, socketActor(socket)) });
+  });
+
+  // Driver registry
+  socket.on("adminDriverUpdate", ({ id, patch } = {}) => {
+    if (!can(socket, "drivers")) return socket.emit("adminResult", { ok: false, action: "driverUpdate", reason: "denied" });
+    const r = updateDriver(String(id || ""), patch || {}, socketActor(socket));
+    socket.emit("adminResult", { ...r, action: "driverUpdate" });
+  });
+
+  socket.on("adminDriverMerge", ({ sourceId, targetId } = {}) => {
+    if (!can(socket, "drivers")) return socket.emit("adminResult", { ok: false, action: "driverMerge", reason: "denied" });
+    const r = mergeDrivers(String(sourceId || ""), String(targetId || ""), socketActor(socket));
+    socket.emit("adminResult", { ...r, action: "driverMerge" });
+  });
+
+  socket.on("adminDriverSplit", ({ driverId, attemptIds, first, last } = {}) => {
+    if (!can(socket, "drivers")) return socket.emit("adminResult", { ok: false, action: "driverSplit", reason: "denied" });
+    const r = splitDriver(String(driverId || ""), attemptIds, first, last, socketActor(socket));
+    socket.emit("adminResult", { ...r, action: "driverSplit" });
+  });
+
+  // Telemetry pages join a room instead of receiving every packet by default
+  socket.on("telemetrySubscribe", ({ track } = {}) => {
+    const t = String(track || "").trim().toLowerCase();
+    for (const room of socket.rooms) if (room.startsWith("telemetry")) socket.leave(room);
+    socket.join(t ? `telemetry:${t}` : "telemetry");
+    socket.emit("telemetrySnapshot", getTelemetrySnapshot(t, socket.rooms.has(ADMIN_ROOM)));
   });
 
-  socket.on("adminPing", ({ pin }) => {
-    socket.emit("adminPingResult", { ok: isAdmin(pin) });
+  socket.on("newScore", (data) => {
+    if (!can(socket, "laps")) return socket.emit("submitResult", { ok: false, reason: "denied" });
+    const result = submitLap(data, { source: "staff", trust: "staff", by: socketActor(socket).username });
+    auditSocket(socket, "submitLap", lapAuditDetail(data, result));
+    socket.emit("submitResult", result);
   });
 
   // Settings
-  socket.on("adminUpdateSettings", ({ pin, patch }) => {
-    if (!isAdmin(pin)) return socket.emit("adminResult", { ok: false, action: "updateSettings", reason: "denied" });
+  socket.on("adminUpdateSettings", ({ patch }) => {
+    if (!can(socket, "settings")) return socket.emit("adminResult", { ok: false, action: "updateSettings", reason: "denied" });
+    const before = structuredClone(settings);
 
     if (typeof patch?.bestPerDriver === "boolean") settings.bestPerDriver = patch.bestPerDriver;
 
     saveSettings();
-    io.emit("settingsUpdate", getPublicSettings());
+    broadcastSettings();
+    auditSocket(socket, "updateSettings", settingsDiff(before));
     socket.emit("adminResult", { ok: true, action: "updateSettings" });
   });
 
   // Events
-  socket.on("adminCreateEvent", ({ pin, name }) => {
-    if (!isAdmin(pin)) return socket.emit("adminResult", { ok: false, action: "createEvent", reason: "denied" });
+  socket.on("adminCreateEvent", ({ name }) => {
+    if (!can(socket, "events")) return socket.emit("adminResult", { ok: false, action: "createEvent", reason: "denied" });
+    const before = structuredClone(settings);
     const evt = createEvent(name);
+    auditSocket(socket, "createEvent", settingsDiff(before));
     socket.emit("adminResult", { ok: true, action: "createEvent", event: evt });
   });
 
-  socket.on("adminSetLiveEvent", ({ pin, eventId }) => {
-    if (!isAdmin(pin)) return socket.emit("adminResult", { ok: false, action: "setLiveEvent", reason: "denied" });
+  socket.on("adminSetLiveEvent", ({ eventId }) => {
+    if (!can(socket, "events")) return socket.emit("adminResult", { ok: false, action: "setLiveEvent", reason: "denied" });
+    const before = structuredClone(settings);
     setLiveEvent(String(eventId || ""));
+    auditSocket(socket, "setLiveEvent", settingsDiff(before));
     socket.emit("adminResult", { ok: true, action: "setLiveEvent" });
+    broadcastSchedule();
   });
 
-  // Fullscreen pin
-  socket.on("adminSetFullscreen", ({ pin, patch }) => {
-    if (!isAdmin(pin)) return socket.emit("adminResult", { ok: false, action: "setFullscreen", reason: "denied" });
-
-    settings.fullscreen ||= { eventId: "evt_default", game: "", followLiveEvent: true, useTvCycle: false };
-
-    if (typeof patch?.followLiveEvent === "boolean") settings.fullscreen.followLiveEvent = patch.followLiveEvent;
-    if (typeof patch?.useTvCycle === "boolean") settings.fullscreen.useTvCycle = patch.useTvCycle;
-
-    if (typeof patch?.eventId === "string") settings.fullscreen.eventId = patch.eventId;
-    if (typeof patch?.game === "string") settings.fullscreen.game = patch.game;
+  socket.on("adminEventSchedule", ({ eventId, schedule }) => {
+    if (!can(socket, "events")) return socket.emit("adminResult", { ok: false, action: "eventSchedule", reason: "denied" });
+    socket.emit("adminResult", { action: "eventSchedule", ...updateEventSchedule(String(eventId || ""), schedule, socketActor(socket)) });
+  });
 
-    if (settings.fullscreen.followLiveEvent) {
-      const live = getLiveEvent();
-      if (live?.id) settings.fullscreen.eventId = live.id;
-    }
+  socket.on("adminEventClose", ({ eventId, closed }) => {
+    if (!can(socket, "events")) return socket.emit("adminResult", { ok: false, action: "eventClose", reason: "denied" });
+    socket.emit("adminResult", { action: "eventClose", ...setEventClosed(String(eventId || ""), closed !== false, socketActor(socket)) });
+  });
 
+  // Fullscreen pin
+  socket.on("adminSetFullscreen", ({ patch }) => {
+    if (!can(socket, "display")) return socket.emit("adminResult", { ok: false, action: "setFullscreen", reason: "denied" });
+    const before = structuredClone(settings);
+    patchFullscreen(patch);
     saveSettings();
-    io.emit("settingsUpdate", getPublicSettings());
+    broadcastSettings();
+    auditSocket(socket, "setFullscreen", settingsDiff(before));
     socket.emit("adminResult", { ok: true, action: "setFullscreen" });
   });
 
   // Reset selected event board
-  socket.on("adminResetEventBoard", ({ pin, eventId }) => {
-    if (!isAdmin(pin)) return socket.emit("adminResult", { ok: false, action: "resetEventBoard", reason: "denied" });
+  socket.on("adminResetEventBoard", ({ eventId }) => {
+    if (!can(socket, "data")) return socket.emit("adminResult", { ok: false, action: "resetEventBoard", reason: "denied" });
     const eid = String(eventId || settings.fullscreen?.eventId || getLiveEvent()?.id || "evt_default");
-    const r = resetEvent(eid);
+    const r = resetEvent(eid, socketActor(socket));
     socket.emit("adminResult", { ok: true, action: "resetEventBoard", ...r });
   });
 
   // Cleanup (NEW)
-  socket.on("adminCleanup", ({ pin, olderThanDays, alsoScores }) => {
-    if (!isAdmin(pin)) return socket.emit("adminResult", { ok: false, action: "cleanup", reason: "denied" });
+  socket.on("adminCleanup", ({ olderThanDays, alsoScores }) => {
+    if (!can(socket, "data")) return socket.emit("adminResult", { ok: false, action: "cleanup", reason: "denied" });
 
     const days = Number(olderThanDays || 90);
     if (!Number.isFinite(days) || days <= 0) {
       return socket.emit("adminResult", { ok: false, action: "cleanup", reason: "bad_days" });
     }
 
-    const r = cleanupOldData(days, !!alsoScores);
+    const r = cleanupOldData(days, !!alsoScores, socketActor(socket));
     socket.emit("adminResult", { ok: true, action: "cleanup", ...r });
   });
 
   // Clear everything
-  socket.on("adminClearAll", ({ pin }) => {
-    if (!isAdmin(pin)) return socket.emit("adminResult", { ok: false, action: "clearAll", reason: "denied" });
-    const r = clearAll();
+  socket.on("adminClearAll", () => {
+    if (!can(socket, "data")) return socket.emit("adminResult", { ok: false, action: "clearAll", reason: "denied" });
+    const r = clearAll(socketActor(socket));
     socket.emit("adminResult", { ok: true, action: "clearAll", ...r });
   });
 
   // Demo controls
-  socket.on("adminDemo", ({ pin, enabled, seed, rateMs }) => {
-    if (!isAdmin(pin)) return socket.emit("adminResult", { ok: false, action: "demo", reason: "denied" });
+  socket.on("adminDemo", ({ enabled, seed, rateMs }) => {
+    if (!can(socket, "data")) return socket.emit("adminResult", { ok: false, action: "demo", reason: "denied" });
+    const before = structuredClone(settings);
     setDemo(!!enabled, Number(rateMs || 4000), !!seed);
+    auditSocket(socket, "demo", settingsDiff(before));
     socket.emit("adminResult", { ok: true, action: "demo" });
   });
 
-  socket.on("adminClearDemo", ({ pin }) => {
-    if (!isAdmin(pin)) return socket.emit("adminResult", { ok: false, action: "clearDemo", reason: "denied" });
-    const r = clearDemoData();
+  socket.on("adminClearDemo", () => {
+    if (!can(socket, "data")) return socket.emit("adminResult", { ok: false, action: "clearDemo", reason: "denied" });
+    const r = clearDemoData(socketActor(socket));
     socket.emit("adminResult", { ok: true, action: "clearDemo", ...r });
   });
 
   // TV cycle
-  socket.on("adminTvCycle", ({ pin, enabled, rateMs }) => {
-    if (!isAdmin(pin)) return socket.emit("adminResult", { ok: false, action: "tv", reason: "denied" });
+  socket.on("adminTvCycle", ({ enabled, rateMs }) => {
+    if (!can(socket, "display")) return socket.emit("adminResult", { ok: false, action: "tv", reason: "denied" });
+    const before = structuredClone(settings);
     setTvCycle(!!enabled, Number(rateMs || 15000));
+    auditSocket(socket, "tv", settingsDiff(before));
     socket.emit("adminResult", { ok: true, action: "tv" });
   });
 
+  // Stewarding: invalidate, penalise or reinstate one attempt
+  socket.on("adminSteward", ({ attemptId, invalid, penaltySec, reason } = {}) => {
+    if (!can(socket, "rows")) return socket.emit("adminResult", { ok: false, action: "steward", reason: "denied" });
+    socket.emit("adminResult", { action: "steward", ...stewardAttempt(attemptId, { invalid, penaltySec, reason }, socketActor(socket)) });
+  });
+
   // Delete one leaderboard row
-  socket.on("adminDeleteScore", ({ pin, id }) => {
-    if (!isAdmin(pin)) return socket.emit("adminResult", { ok: false, action: "deleteScore", reason: "denied" });
-    const removed = deleteLeaderboardRowById(String(id || ""));
-    socket.emit("adminResult", { ok: true, action: "deleteScore", removed });
+  socket.on("adminDeleteScore", ({ id }) => {
+    if (!can(socket, "rows")) return socket.emit("adminResult", { ok: false, action: "deleteScore", reason: "denied" });
+    const r = deleteLeaderboardRowById(String(id || ""), socketActor(socket));
+    socket.emit("adminResult", { ok: true, action: "deleteScore", ...r });
   });
 
   // Lecturer mode & privacy
-  socket.on("adminLecturerMode", ({ pin, patch }) => {
-    if (!isAdmin(pin)) return socket.emit("adminResult", { ok: false, action: "lecturerMode", reason: "denied" });
-
-    if (typeof patch?.lecturerMode === "boolean") settings.lecturerMode = patch.lecturerMode;
-    if (typeof patch?.privacy?.nameMode === "string") {
-      settings.privacy ||= { nameMode: "FULL", hideCourse: false };
-      settings.privacy.nameMode = patch.privacy.nameMode;
-    }
-    if (typeof patch?.privacy?.hideCourse === "boolean") {
-      settings.privacy ||= { nameMode: "FULL", hideCourse: false };
-      settings.privacy.hideCourse = patch.privacy.hideCourse;
-    }
-
+  socket.on("adminLecturerMode", ({ patch }) => {
+    if (!can(socket, "privacy")) return socket.emit("adminResult", { ok: false, action: "lecturerMode", reason: "denied" });
+    const before = structuredClone(settings);
+    patchPrivacy(patch);
     saveSettings();
-    io.emit("settingsUpdate", getPublicSettings());
+    broadcastSettings();
+    auditSocket(socket, "lecturerMode", settingsDiff(before));
     socket.emit("adminResult", { ok: true, action: "lecturerMode" });
   });
 
   // Auto-scroll
-  socket.on("adminAutoScroll", ({ pin, enabled, rateMs, pauseMs }) => {
-    if (!isAdmin(pin)) return socket.emit("adminResult", { ok: false, action: "autoScroll", reason: "denied" });
-
-    settings.autoScroll = !!enabled;
-    if (Number.isFinite(rateMs) && rateMs > 0) settings.autoScrollRateMs = rateMs;
-    if (Number.isFinite(pauseMs) && pauseMs > 0) settings.autoScrollPauseMs = pauseMs;
-
+  socket.on("adminAutoScroll", ({ enabled, rateMs, pauseMs }) => {
+    if (!can(socket, "display")) return socket.emit("adminResult", { ok: false, action: "autoScroll", reason: "denied" });
+    const before = structuredClone(settings);
+    patchAutoScroll({ enabled, rateMs, pauseMs });
     saveSettings();
-    io.emit("settingsUpdate", getPublicSettings());
+    broadcastSettings();
+    auditSocket(socket, "autoScroll", settingsDiff(before));
     socket.emit("adminResult", { ok: true, action: "autoScroll" });
   });
 
   // Spotlight
-  socket.on("adminSpotlight", ({ pin, enabled, rateMs, mode }) => {
-    if (!isAdmin(pin)) return socket.emit("adminResult", { ok: false, action: "spotlight", reason: "denied" });
-
-    settings.spotlight = !!enabled;
-    if (Number.isFinite(rateMs) && rateMs > 0) settings.spotlightRateMs = rateMs;
-    if (["recent", "random", "improved"].includes(mode)) settings.spotlightMode = mode;
-
+  socket.on("adminSpotlight", ({ enabled, rateMs, mode }) => {
+    if (!can(socket, "display")) return socket.emit("adminResult", { ok: false, action: "spotlight", reason: "denied" });
+    const before = structuredClone(settings);
+    patchSpotlight({ enabled, rateMs, mode });
     saveSettings();
-    io.emit("settingsUpdate", getPublicSettings());
+    broadcastSettings();
+    auditSocket(socket, "spotlight", settingsDiff(before));
     socket.emit("adminResult", { ok: true, action: "spotlight" });
   });
 
   // Presets
-  socket.on("adminPreset", ({ pin, preset }) => {
-    if (!isAdmin(pin)) return socket.emit("adminResult", { ok: false, action: "preset", reason: "denied" });
+  socket.on("adminPreset", ({ preset }) => {
+    if (!can(socket, "display")) return socket.emit("adminResult", { ok: false, action: "preset", reason: "denied" });
+    const before = structuredClone(settings);
 
     const PRESETS = {
       openDay: {
@@ -821,75 +5207,219 @@ io.on("connection", (socket) => {
     }
 
     saveSettings();
-    io.emit("settingsUpdate", getPublicSettings());
+    broadcastSettings();
+    auditSocket(socket, "preset", settingsDiff(before));
     socket.emit("adminResult", { ok: true, action: "preset", preset });
   });
 
   // Allow admin client to request current settings directly
   socket.on('requestSettings', () => {
-    socket.emit('settingsUpdate', getPublicSettings());
+    socket.emit('settingsUpdate', getPublicSettings(socket.rooms.has(ADMIN_ROOM)));
   });
 
   // Rig settings
-  socket.on("adminRigSettings", ({ pin, patch }) => {
-    if (!isAdmin(pin)) return socket.emit("adminResult", { ok: false, action: "rigSettings", reason: "denied" });
-    settings.rig ||= { enabled: false, timedLaps: 3, outLaps: 1, key: '' };
-    if (typeof patch?.enabled === 'boolean') settings.rig.enabled = patch.enabled;
-    if (Number.isFinite(patch?.timedLaps)) settings.rig.timedLaps = Number(patch.timedLaps);
-    if (Number.isFinite(patch?.outLaps)) settings.rig.outLaps = Number(patch.outLaps);
+  socket.on("adminRigSettings", ({ patch }) => {
+    if (!can(socket, "settings")) return socket.emit("adminResult", { ok: false, action: "rigSettings", reason: "denied" });
+    const before = structuredClone(settings);
+    patchRig(patch);
     saveSettings();
-    io.emit("settingsUpdate", getPublicSettings());
+    broadcastSettings();
+    auditSocket(socket, "rigSettings", settingsDiff(before));
     socket.emit("adminResult", { ok: true, action: "rigSettings" });
   });
 
-  // Quick-lap event controls
-  socket.on('adminQuickLapStart', ({ pin, params }) => {
-    if (!isAdmin(pin)) return socket.emit("adminResult", { ok: false, action: "quickLapStart", reason: "denied" });
-    settings.quickLap ||= {};
-    settings.quickLap.enabled = true;
-    settings.quickLap.params = params || {};
-    saveSettings();
-    io.emit('settingsUpdate', getPublicSettings());
-    socket.emit('adminResult', { ok: true, action: 'quickLapStart' });
+  // Track maps: record a reference lap from a rig's telemetry
+  socket.on("adminTrackRecordStart", ({ rigId, trackId, name, overwrite }) => {
+    if (!can(socket, "settings")) return socket.emit("adminResult", { ok: false, action: "trackRecordStart", reason: "denied" });
+    const r = startTrackRecording(cleanStr(rigId, 48), String(trackId || "").trim().toLowerCase(), name, !!overwrite);
+    if (r.ok) auditSocket(socket, "trackRecordStart", { target: String(trackId || "").trim().toLowerCase(), after: { rigId, name, overwrite: !!overwrite } });
+    socket.emit("adminResult", { action: "trackRecordStart", ...r });
   });
 
-  socket.on('adminQuickLapStop', ({ pin }) => {
-    if (!isAdmin(pin)) return socket.emit("adminResult", { ok: false, action: "quickLapStop", reason: "denied" });
-    settings.quickLap ||= {};
-    settings.quickLap.enabled = false;
-    saveSettings();
-    io.emit('settingsUpdate', getPublicSettings());
-    socket.emit('adminResult', { ok: true, action: 'quickLapStop' });
+  socket.on("adminTrackRecordCancel", ({ rigId }) => {
+    if (!can(socket, "settings")) return socket.emit("adminResult", { ok: false, action: "trackRecordCancel", reason: "denied" });
+    const ok = cancelTrackRecording(cleanStr(rigId, 48));
+    if (ok) auditSocket(socket, "trackRecordCancel", { target: rigId });
+    socket.emit("adminResult", { ok, action: "trackRecordCancel", reason: ok ? undefined : "not_recording" });
+  });
+
+  // Quick-lap challenge
+  socket.on("adminQuickLapStart", ({ params }) => {
+    if (!can(socket, "display")) return socket.emit("adminResult", { ok: false, action: "quickLapStart", reason: "denied" });
+    socket.emit("adminResult", { action: "quickLapStart", ...startQuickLap(params, socketActor(socket)) });
+  });
+
+  socket.on("adminQuickLapStop", () => {
+    if (!can(socket, "display")) return socket.emit("adminResult", { ok: false, action: "quickLapStop", reason: "denied" });
+    socket.emit("adminResult", { action: "quickLapStop", ...closeQuickLap(socketActor(socket)) });
+  });
+
+  // Signage screens: the TV side registers and reports what it's showing
+  socket.on("screenHello", ({ screenId } = {}) => {
+    const id = cleanStr(screenId, 48);
+    const r = screenHello(id, socket.handshake.address);
+    if (!r.ok) return socket.emit("screenConfig", { error: r.reason });
+    for (const room of socket.rooms) if (room.startsWith("screen:")) socket.leave(room);
+    socket.join(screenRoom(id));
+    socket.data.screenId = id;
+    socket.emit("screenConfig", screenConfig(id));
+    io.to(ADMIN_ROOM).emit("signageUpdate", viewSignage());
+  });
+
+  socket.on("screenScene", ({ index } = {}) => {
+    const id = socket.data.screenId;
+    if (!id || !screenStatus.has(id)) return;
+    const st = screenStatus.get(id);
+    st.scene = Number.isInteger(index) ? index : null;
+    st.lastSeen = new Date().toISOString();
+    io.to(ADMIN_ROOM).emit("signageUpdate", viewSignage());
+  });
+
+  socket.on("disconnect", () => {
+    if (!socket.data.screenId) return;
+    const st = screenStatus.get(socket.data.screenId);
+    if (st) st.lastSeen = new Date().toISOString();
+    io.to(ADMIN_ROOM).emit("signageUpdate", viewSignage());
+  });
+
+  socket.on("adminSignage", () => {
+    if (!can(socket, "display")) return socket.emit("adminResult", { ok: false, action: "signage", reason: "denied" });
+    socket.emit("signageUpdate", viewSignage());
+  });
+
+  socket.on("adminPlaylistSave", ({ playlist }) => {
+    if (!can(socket, "display")) return socket.emit("adminResult", { ok: false, action: "playlistSave", reason: "denied" });
+    socket.emit("adminResult", { action: "playlistSave", ...savePlaylist(playlist, socketActor(socket)) });
+  });
+
+  socket.on("adminPlaylistDelete", ({ id }) => {
+    if (!can(socket, "display")) return socket.emit("adminResult", { ok: false, action: "playlistDelete", reason: "denied" });
+    socket.emit("adminResult", { action: "playlistDelete", ...deletePlaylist(String(id || ""), socketActor(socket)) });
+  });
+
+  socket.on("adminScreenSave", ({ screen }) => {
+    if (!can(socket, "display")) return socket.emit("adminResult", { ok: false, action: "screenSave", reason: "denied" });
+    socket.emit("adminResult", { action: "screenSave", ...saveScreen(screen, socketActor(socket)) });
   });
 
-  // Overlay controls (simple broadcast)
-  socket.on('adminOverlay', ({ pin, show }) => {
-    if (!isAdmin(pin)) return socket.emit('adminResult', { ok: false, action: 'overlay', reason: 'denied' });
-    io.emit('overlayToggle', { show: !!show });
-    socket.emit('adminResult', { ok: true, action: 'overlay' });
+  socket.on("adminScreenDelete", ({ id }) => {
+    if (!can(socket, "display")) return socket.emit("adminResult", { ok: false, action: "screenDelete", reason: "denied" });
+    socket.emit("adminResult", { action: "screenDelete", ...deleteScreen(String(id || ""), socketActor(socket)) });
+  });
+
+  // Stream overlays
+  socket.on('adminOverlay', (patch) => {
+    if (!can(socket, "display")) return socket.emit('adminResult', { ok: false, action: 'overlay', reason: 'denied' });
+    socket.emit('adminResult', { action: 'overlay', ...updateOverlay(patch, socketActor(socket)) });
+  });
+
+  // Replays the PB banner for the newest lap on the overlay's board
+  socket.on('adminOverlayPush', () => {
+    if (!can(socket, "display")) return socket.emit('adminResult', { ok: false, action: 'overlayPush', reason: 'denied' });
+    io.emit('overlayPush', {});
+    auditSocket(socket, "overlayPush", {});
+    socket.emit('adminResult', { ok: true, action: 'overlayPush' });
   });
 
   // Rotate or set rig key
-  socket.on("adminRigKeyRotate", ({ pin }) => {
-    if (!isAdmin(pin)) return socket.emit("adminResult", { ok: false, action: "rigKeyRotate", reason: "denied" });
+  socket.on("adminRigKeyRotate", () => {
+    if (!can(socket, "rigkeys")) return socket.emit("adminResult", { ok: false, action: "rigKeyRotate", reason: "denied" });
+    const before = structuredClone(settings);
     settings.rig ||= { enabled: false, timedLaps: 3, outLaps: 1, key: '' };
     const newKey = makeId();
     settings.rig.key = newKey;
     saveSettings();
-    io.emit("settingsUpdate", getPublicSettings());
+    broadcastSettings();
+    auditSocket(socket, "rigKeyRotate", settingsDiff(before));
     socket.emit("adminResult", { ok: true, action: "rigKeyRotate" });
     socket.emit("rigKeyUpdate", { key: newKey });
   });
 
-  socket.on("adminRigKeySet", ({ pin, key }) => {
-    if (!isAdmin(pin)) return socket.emit("adminResult", { ok: false, action: "rigKeySet", reason: "denied" });
+  socket.on("adminRigKeySet", ({ key }) => {
+    if (!can(socket, "rigkeys")) return socket.emit("adminResult", { ok: false, action: "rigKeySet", reason: "denied" });
+    const before = structuredClone(settings);
     settings.rig ||= { enabled: false, timedLaps: 3, outLaps: 1, key: '' };
     settings.rig.key = String(key || '');
     saveSettings();
-    io.emit("settingsUpdate", getPublicSettings());
+    broadcastSettings();
+    auditSocket(socket, "rigKeySet", settingsDiff(before));
     socket.emit("adminResult", { ok: true, action: "rigKeySet" });
     socket.emit("rigKeyUpdate", { key: settings.rig.key });
   });
+
+  // Rig registry
+  socket.on("adminRigFleet", () => {
+    if (!can(socket, "view")) return socket.emit("adminResult", { ok: false, action: "rigFleet", reason: "denied" });
+    socket.emit("rigFleet", fleetStatus(true));
+  });
+
+  socket.on("adminRigSave", ({ rig }) => {
+    if (!can(socket, "rigkeys")) return socket.emit("adminResult", { ok: false, action: "rigSave", reason: "denied" });
+    socket.emit("adminResult", { action: "rigSave", ...saveRig(rig, socketActor(socket)) });
+  });
+
+  socket.on("adminRigRotate", ({ id }) => {
+    if (!can(socket, "rigkeys")) return socket.emit("adminResult", { ok: false, action: "rigRotate", reason: "denied" });
+    socket.emit("adminResult", { action: "rigRotate", ...rotateRigKey(String(id || ""), socketActor(socket)) });
+  });
+
+  socket.on("adminRigRevoke", ({ id, revoked }) => {
+    if (!can(socket, "rigkeys")) return socket.emit("adminResult", { ok: false, action: "rigRevoke", reason: "denied" });
+    socket.emit("adminResult", { action: "rigRevoke", ...setRigRevoked(String(id || ""), revoked !== false, socketActor(socket)) });
+  });
+
+  socket.on("adminRigDelete", ({ id }) => {
+    if (!can(socket, "rigkeys")) return socket.emit("adminResult", { ok: false, action: "rigDelete", reason: "denied" });
+    socket.emit("adminResult", { action: "rigDelete", ...deleteRig(String(id || ""), socketActor(socket)) });
+  });
+
+  // Driver queue
+  socket.on("adminQueueAdd", ({ entry }) => {
+    if (!can(socket, "laps")) return socket.emit("adminResult", { ok: false, action: "queueAdd", reason: "denied" });
+    const { token, ...r } = addToQueue(entry, socketActor(socket), true);
+    socket.emit("adminResult", { action: "queueAdd", ...r });
+  });
+
+  socket.on("adminQueueAssign", ({ rigId, entryId }) => {
+    if (!can(socket, "laps")) return socket.emit("adminResult", { ok: false, action: "queueAssign", reason: "denied" });
+    socket.emit("adminResult", { action: "queueAssign", ...assignQueue(rigId, entryId, socketActor(socket)) });
+  });
+
+  socket.on("adminQueueMove", ({ id, dir }) => {
+    if (!can(socket, "laps")) return socket.emit("adminResult", { ok: false, action: "queueMove", reason: "denied" });
+    socket.emit("adminResult", { action: "queueMove", ...moveQueueEntry(id, dir, socketActor(socket)) });
+  });
+
+  socket.on("adminQueueRemove", ({ id }) => {
+    if (!can(socket, "laps")) return socket.emit("adminResult", { ok: false, action: "queueRemove", reason: "denied" });
+    socket.emit("adminResult", { action: "queueRemove", ...removeQueueEntry(id, socketActor(socket)) });
+  });
+
+  socket.on("adminQueueSettings", ({ patch }) => {
+    if (!can(socket, "laps")) return socket.emit("adminResult", { ok: false, action: "queueSettings", reason: "denied" });
+    socket.emit("adminResult", { action: "queueSettings", ...updateQueueSettings(patch, socketActor(socket)) });
+  });
+
+  // Lap moderation: marshals decide held laps, admins set the rules
+  socket.on("adminPending", () => {
+    if (!can(socket, "laps")) return socket.emit("adminResult", { ok: false, action: "pending", reason: "denied" });
+    socket.emit("pendingUpdate", viewPending());
+  });
+
+  socket.on("adminPendingApprove", ({ id } = {}) => {
+    if (!can(socket, "laps")) return socket.emit("adminResult", { ok: false, action: "pendingApprove", reason: "denied" });
+    socket.emit("adminResult", { action: "pendingApprove", ...approvePending(id, socketActor(socket)) });
+  });
+
+  socket.on("adminPendingReject", ({ id, reason } = {}) => {
+    if (!can(socket, "laps")) return socket.emit("adminResult", { ok: false, action: "pendingReject", reason: "denied" });
+    socket.emit("adminResult", { action: "pendingReject", ...rejectPending(id, reason, socketActor(socket)) });
+  });
+
+  socket.on("adminModeration", ({ patch } = {}) => {
+    if (!can(socket, "settings")) return socket.emit("adminResult", { ok: false, action: "moderation", reason: "denied" });
+    socket.emit("adminResult", { action: "moderation", ...updateModeration(patch, socketActor(socket)) });
+  });
 });
 
 const PORT = process.env.PORT || 3000;
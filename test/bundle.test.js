@@ -0,0 +1,97 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, call } from "./helpers.js";
+
+const GAME = "Assetto Corsa";
+const TRACK = "Nürburgring GP";
+
+let server, admin, bundle;
+
+before(async () => {
+  server = await startServer();
+  admin = await server.socket();
+  await call(admin, "adminRigKeySet", { key: "test-rig-key" });
+  await call(admin, "adminModeration", { patch: { maxJumpPct: 40, rules: [{ game: GAME, track: TRACK, minTime: "1:50.000" }] } });
+  for (const [first, time] of [["Ann", "2:01.000"], ["Ben", "2:03.000"]]) {
+    await call(admin, "newScore", { first, last: "Bundle", time, game: GAME, track: TRACK, car: "", cohort: "Guest" }, "submitResult");
+  }
+});
+after(() => server?.stop());
+
+const importBundle = (body, query) => server.api(`/api/import/bundle?${query}`, { method: "POST", body });
+const settings = async () => (await server.api("/api/settings")).body;
+const board = async () => (await server.api("/api/scores")).body.filter(s => s.track === TRACK).map(s => `${s.first} ${s.time}`).sort();
+
+test("exports are staff only", async () => {
+  assert.equal((await server.api("/api/export/bundle", { auth: false })).status, 403);
+  assert.equal((await server.api("/api/export/attempts.csv", { auth: false })).status, 403);
+});
+
+test("the bundle carries the boards and moderation rules but not the rig key", async () => {
+  const res = await server.api("/api/export/bundle");
+  assert.equal(res.status, 200);
+  bundle = res.body;
+  assert.equal(bundle.scores.length, 2);
+  assert.equal(bundle.attempts.length, 2);
+  assert.equal(bundle.settings.moderation.maxJumpPct, 40);
+  assert.equal(bundle.settings.moderation.rules[0].minTime, "1:50.000");
+  assert.ok(!("key" in bundle.settings.rig));
+});
+
+test("a merge import adds nothing twice", async () => {
+  const res = await importBundle(bundle, "mode=merge");
+  assert.equal(res.body.ok, true);
+  assert.equal(res.body.attempts.same, 2);
+  assert.equal(res.body.attempts.added, 0);
+  assert.equal(res.body.settings, "ignored");
+  assert.deepEqual(await board(), ["Ann 2:01.000", "Ben 2:03.000"]);
+});
+
+test("a dry run reports without changing anything", async () => {
+  const copy = structuredClone(bundle);
+  copy.scores[0].time = "1:59.000";
+  const res = await importBundle(copy, "mode=merge&dryRun=1");
+  assert.equal(res.body.scores.replaced, 1);
+  assert.deepEqual(await board(), ["Ann 2:01.000", "Ben 2:03.000"]);
+});
+
+test("a replace import restores the board and the moderation rules", async () => {
+  await call(admin, "newScore", { first: "Cat", last: "Bundle", time: "2:05.000", game: GAME, track: TRACK, car: "", cohort: "Guest" }, "submitResult");
+  await call(admin, "adminModeration", { patch: { maxJumpPct: 10, rules: [] } });
+
+  const res = await importBundle(bundle, "mode=replace");
+  assert.equal(res.body.ok, true);
+  assert.equal(res.body.settings, "applied");
+  assert.deepEqual(await board(), ["Ann 2:01.000", "Ben 2:03.000"]);
+
+  const now = await settings();
+  assert.equal(now.moderation.maxJumpPct, 40);
+  assert.equal(now.moderation.rules[0].track, TRACK);
+  assert.equal(now.rig.key, "test-rig-key");
+});
+
+test("imported settings go through the same checks as the admin controls", async () => {
+  const copy = structuredClone(bundle);
+  Object.assign(copy.settings, {
+    hack: { evil: true },
+    privacy: { nameMode: "EVIL", hideCourse: false },
+    moderation: { rules: [{ game: "Mystery Game" }] },
+    rig: { enabled: false, timedLaps: 7, key: "stolen" }
+  });
+  const res = await importBundle(copy, "mode=replace");
+  assert.equal(res.body.ok, true);
+  assert.ok(res.body.settingsRefused.length > 0);
+
+  const now = await settings();
+  assert.ok(!("hack" in now));
+  assert.equal(now.privacy.nameMode, "FULL");
+  assert.equal(now.moderation.rules[0].track, TRACK);
+  assert.equal(now.rig.timedLaps, 7);
+  assert.equal(now.rig.key, "test-rig-key");
+});
+
+test("bundles in another format are refused", async () => {
+  const res = await importBundle({ format: "something-else", events: [], scores: [], attempts: [] }, "mode=merge");
+  assert.equal(res.status, 400);
+  assert.equal(res.body.reason, "bad_bundle");
+});
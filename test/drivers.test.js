@@ -0,0 +1,67 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, call } from "./helpers.js";
+
+const GAME = "Assetto Corsa";
+const TRACK = "Silverstone GP";
+
+let server, admin;
+
+before(async () => {
+  server = await startServer();
+  admin = await server.socket();
+  await call(admin, "adminRigSettings", { patch: { enabled: true } });
+});
+after(() => server?.stop());
+
+const staffLap = (body) => call(admin, "newScore", { last: "Driver", game: GAME, track: TRACK, car: "", cohort: "Guest", ...body }, "submitResult");
+const rigLap = (body) => server.api("/api/submit-lap", {
+  method: "POST",
+  auth: false,
+  body: { rigId: "rig-test", last: "Driver", game: GAME, track: TRACK, ...body }
+});
+const drivers = async () => (await server.api("/api/drivers?limit=500")).body.drivers;
+const pending = async () => (await server.api("/api/pending")).body.pending;
+
+test("staff laps link to the driver with the same name", async () => {
+  const first = await staffLap({ first: "Dee", time: "2:20.000" });
+  const second = await staffLap({ first: "dee", time: "2:18.000" });
+  assert.ok(first.driverId);
+  assert.equal(second.driverId, first.driverId);
+});
+
+test("staff can pick a driver by id or start a new one", async () => {
+  const dee = (await drivers()).find(d => d.first === "Dee");
+  const picked = await staffLap({ first: "Someone", last: "Else", time: "2:30.000", driverId: dee.id });
+  assert.equal(picked.driverId, dee.id);
+
+  const fresh = await staffLap({ first: "Dee", time: "2:40.000", driverId: "new" });
+  assert.notEqual(fresh.driverId, dee.id);
+  assert.equal((await drivers()).filter(d => d.first === "Dee").length, 2);
+});
+
+test("held laps create no driver until they are approved", async () => {
+  const before = (await drivers()).length;
+  for (const n of [1, 2, 3]) await rigLap({ first: `Spam${n}`, time: "2:50.000", driverId: "new" });
+  assert.equal((await drivers()).length, before);
+
+  const held = (await pending()).find(p => p.lap.first === "Spam1");
+  await call(admin, "adminPendingReject", { id: held.id, reason: "Spam" });
+  assert.equal((await drivers()).length, before);
+
+  const kept = (await pending()).find(p => p.lap.first === "Spam2");
+  await call(admin, "adminPendingApprove", { id: kept.id });
+  assert.equal((await drivers()).length, before + 1);
+});
+
+test("a driver id sent by a rig is ignored", async () => {
+  const dee = (await drivers()).find(d => d.first === "Dee");
+  await rigLap({ first: "Mallory", time: "2:45.000", driverId: dee.id });
+  const held = (await pending()).find(p => p.lap.first === "Mallory");
+  assert.notEqual(held.lap.driverId, dee.id);
+
+  await call(admin, "adminPendingApprove", { id: held.id });
+  const row = (await server.api("/api/scores")).body.find(s => s.first === "Mallory");
+  assert.ok(row.driverId);
+  assert.notEqual(row.driverId, dee.id);
+});
@@ -0,0 +1,135 @@
+// Test helpers: boot server.js in a scratch directory so every suite starts from
+// empty data files, then talk to it over HTTP and socket.io like the pages do.
+import { spawn } from "node:child_process";
+import fs from "node:fs";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { io } from "socket.io-client";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+export const PASSWORD = "test-pit-lane";
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.once("error", reject);
+    srv.listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+// Resolves once the server logs that it is listening
+function spawnServer(dir, port, env) {
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: dir,
+    env: { ...process.env, PORT: String(port), TELEMETRY_UDP_PORT: "0", ADMIN_PASSWORD: PASSWORD, STORAGE: "json", ...env },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+
+  let log = "";
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${log}`)), 10000);
+    const onData = (chunk) => {
+      log += chunk;
+      if (log.includes("Server running")) { clearTimeout(timer); resolve(child); }
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    child.once("exit", (code) => { clearTimeout(timer); reject(new Error(`server exited (${code}):\n${log}`)); });
+  });
+}
+
+// SIGTERM, so the server flushes its debounced writes first
+async function stopChild(child) {
+  if (child.exitCode !== null) return;
+  const exited = new Promise(resolve => child.once("exit", resolve));
+  child.kill();
+  await exited;
+}
+
+// env is added to the server's environment, e.g. { STORAGE: "sqlite" }
+export async function startServer({ env = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "leaderboard-test-"));
+  fs.copyFileSync(path.join(ROOT, "server.js"), path.join(dir, "server.js"));
+  fs.copyFileSync(path.join(ROOT, "package.json"), path.join(dir, "package.json"));
+  fs.symlinkSync(path.join(ROOT, "public"), path.join(dir, "public"));
+  fs.symlinkSync(path.join(ROOT, "node_modules"), path.join(dir, "node_modules"));
+
+  const port = await freePort();
+  let child = await spawnServer(dir, port, env);
+
+  const url = `http://127.0.0.1:${port}`;
+  const sockets = [];
+  let token = "";
+
+  const server = {
+    url,
+    dir,
+
+    async api(pathname, { method = "GET", body, auth = true, headers = {} } = {}) {
+      if (auth && !token) {
+        const login = await fetch(url + "/api/auth/login", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ username: "admin", password: PASSWORD })
+        }).then(r => r.json());
+        token = login.token;
+      }
+      const res = await fetch(url + pathname, {
+        method,
+        headers: {
+          ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+          ...(auth ? { Authorization: `Bearer ${token}` } : {}),
+          ...headers
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+      });
+      return { status: res.status, body: await res.json().catch(() => null) };
+    },
+
+    // A socket signed in as the default admin (or anonymous with login: false)
+    async socket({ login = true } = {}) {
+      const s = io(url, { transports: ["websocket"], forceNew: true });
+      sockets.push(s);
+      await next(s, "connect");
+      if (login) {
+        s.emit("adminLogin", { username: "admin", password: PASSWORD });
+        await next(s, "adminSession");
+      }
+      return s;
+    },
+
+    // Stop and start again on the same data; open sockets are closed
+    async restart() {
+      for (const s of sockets.splice(0)) s.close();
+      await stopChild(child);
+      child = await spawnServer(dir, port, env);
+      token = "";
+    },
+
+    async stop() {
+      for (const s of sockets) s.close();
+      await stopChild(child);
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+  return server;
+}
+
+export function next(socket, event, ms = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`timed out waiting for ${event}`)), ms);
+    socket.once(event, (data) => { clearTimeout(timer); resolve(data); });
+  });
+}
+
+// Emit and wait for the reply event the handler answers with
+export async function call(socket, event, payload, reply = "adminResult") {
+  const answer = next(socket, reply);
+  socket.emit(event, payload);
+  return answer;
+}
@@ -0,0 +1,114 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, call } from "./helpers.js";
+
+const GAME = "Assetto Corsa";
+const TRACK = "Monza";
+
+let server, admin;
+
+before(async () => {
+  server = await startServer();
+  admin = await server.socket();
+  // rig uploads without a key carry no trust, so every one of them is held
+  await call(admin, "adminRigSettings", { patch: { enabled: true } });
+});
+after(() => server?.stop());
+
+const rigLap = (body) => server.api("/api/submit-lap", {
+  method: "POST",
+  auth: false,
+  body: { rigId: "rig-test", game: GAME, track: TRACK, last: "Rig", time: "2:00.000", ...body }
+});
+const staffLap = (body) => call(admin, "newScore", { game: GAME, track: TRACK, last: "Staff", car: "", cohort: "Guest", ...body }, "submitResult");
+const boardNames = async () => (await server.api("/api/scores")).body.filter(s => s.track === TRACK).map(s => s.first);
+const pending = async () => (await server.api("/api/pending")).body.pending;
+
+test("laps from a rig without a key are held as unverified", async () => {
+  const res = await rigLap({ first: "Una" });
+  assert.equal(res.status, 202);
+  assert.equal(res.body.mode, "pending");
+  assert.deepEqual(res.body.flags, ["unverified"]);
+  assert.ok(!(await boardNames()).includes("Una"));
+
+  const held = (await pending()).find(p => p.lap.first === "Una");
+  assert.equal(held.source, "rig");
+  assert.equal(held.rigId, "rig-test");
+});
+
+test("resubmitting the same held lap does not queue it twice", async () => {
+  await rigLap({ first: "Twice" });
+  await rigLap({ first: "Twice" });
+  assert.equal((await pending()).filter(p => p.lap.first === "Twice").length, 1);
+});
+
+test("a client demo flag does not skip moderation", async () => {
+  const res = await rigLap({ first: "Sneaky", demo: true });
+  assert.equal(res.body.mode, "pending");
+  const held = (await pending()).find(p => p.lap.first === "Sneaky");
+  assert.ok(held);
+  assert.ok(!held.lap.demo);
+});
+
+test("the pending queue is staff only", async () => {
+  assert.equal((await server.api("/api/pending", { auth: false })).status, 403);
+});
+
+test("approving a held lap posts it to the board", async () => {
+  const held = (await pending()).find(p => p.lap.first === "Una");
+  const res = await call(admin, "adminPendingApprove", { id: held.id });
+  assert.equal(res.ok, true);
+  assert.equal(res.mode, "added");
+  assert.ok((await boardNames()).includes("Una"));
+  assert.ok(!(await pending()).some(p => p.id === held.id));
+});
+
+test("rejecting a held lap keeps it in history but off the board", async () => {
+  await rigLap({ first: "Nope" });
+  const held = (await pending()).find(p => p.lap.first === "Nope");
+  const res = await call(admin, "adminPendingReject", { id: held.id, reason: "Not a real lap" });
+  assert.equal(res.ok, true);
+  assert.ok(!(await boardNames()).includes("Nope"));
+
+  const { body } = await server.api("/api/attempts?q=Nope");
+  assert.equal(body.items[0].rejected, "Not a real lap");
+  assert.equal(body.items[0].rejectedBy, "admin");
+  assert.equal((await call(admin, "adminPendingReject", { id: held.id })).reason, "not_found");
+});
+
+test("held laps are not approved onto a closed event", async () => {
+  await rigLap({ first: "Late" });
+  const held = (await pending()).find(p => p.lap.first === "Late");
+  const closed = await call(admin, "adminEventClose", { eventId: held.lap.eventId });
+  assert.equal(closed.ok, true);
+
+  assert.equal((await call(admin, "adminPendingApprove", { id: held.id })).reason, "event_closed");
+  assert.ok((await pending()).some(p => p.id === held.id));
+
+  await call(admin, "adminEventClose", { eventId: held.lap.eventId, closed: false });
+  assert.equal((await call(admin, "adminPendingApprove", { id: held.id })).ok, true);
+});
+
+test("game and track rules hold laps outside their time window", async () => {
+  const rule = await call(admin, "adminModeration", { patch: { rules: [{ game: GAME, track: TRACK, minTime: "1:40.000", maxTime: "3:00.000" }] } });
+  assert.equal(rule.ok, true);
+
+  assert.deepEqual((await staffLap({ first: "Quick", time: "1:20.000" })).flags, ["too_fast"]);
+  assert.deepEqual((await staffLap({ first: "Crawl", time: "3:20.000" })).flags, ["too_slow"]);
+  assert.equal((await staffLap({ first: "Fine", time: "2:10.000" })).mode, "added");
+
+  const bad = await call(admin, "adminModeration", { patch: { rules: [{ game: GAME, track: TRACK, minTime: "2:00.000", maxTime: "1:00.000" }] } });
+  assert.equal(bad.ok, false);
+});
+
+test("moderation thresholds stay out of the public settings", async () => {
+  const { body } = await server.api("/api/settings", { auth: false });
+  assert.equal(body.moderation, undefined);
+});
+
+test("only staff can approve or change moderation", async () => {
+  const anon = await server.socket({ login: false });
+  const held = (await pending())[0];
+  assert.equal((await call(anon, "adminPendingApprove", { id: held.id })).reason, "denied");
+  assert.equal((await call(anon, "adminModeration", { patch: { enabled: false } })).reason, "denied");
+});
@@ -0,0 +1,91 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, call } from "./helpers.js";
+
+const GAME = "Assetto Corsa";
+const TRACK = "Imola";
+
+let server, admin;
+
+before(async () => {
+  server = await startServer();
+  admin = await server.socket();
+});
+after(() => server?.stop());
+
+const lap = (first, time, extra = {}) => call(admin, "newScore", { first, last: "Steward", time, game: GAME, track: TRACK, car: "", cohort: "Guest", ...extra }, "submitResult");
+const steward = (payload) => call(admin, "adminSteward", payload);
+const board = async () => Object.fromEntries((await server.api("/api/scores")).body.filter(s => s.track === TRACK).map(s => [s.first, s.time]));
+
+let ann1, ann2, bob;
+
+test("laps reach the board before any stewarding", async () => {
+  ann1 = await lap("Ann", "2:10.000");
+  ann2 = await lap("Ann", "2:05.000");
+  bob = await lap("Bob", "2:08.000");
+  assert.deepEqual(await board(), { Ann: "2:05.000", Bob: "2:08.000" });
+});
+
+test("steward decisions are checked before they apply", async () => {
+  assert.equal((await steward({ attemptId: ann2.attemptId, invalid: true })).reason, "reason_required");
+  assert.equal((await steward({ attemptId: "nope", invalid: true, reason: "x" })).reason, "not_found");
+  assert.equal((await steward({ attemptId: ann2.attemptId, penaltySec: 999, reason: "x" })).ok, false);
+});
+
+test("invalidating a best lap falls back to the driver's next best", async () => {
+  const res = await steward({ attemptId: ann2.attemptId, invalid: true, reason: "Track limits" });
+  assert.equal(res.ok, true);
+  assert.equal(res.attempt.invalid, true);
+  assert.equal(res.attempt.stewardReason, "Track limits");
+  assert.equal((await board()).Ann, "2:10.000");
+});
+
+test("a driver with every lap invalidated leaves the board until one is reinstated", async () => {
+  await steward({ attemptId: ann1.attemptId, invalid: true, reason: "Wrong car" });
+  assert.equal((await board()).Ann, undefined);
+
+  const res = await steward({ attemptId: ann1.attemptId });
+  assert.equal(res.ok, true);
+  assert.ok(!res.attempt.invalid);
+  assert.equal((await board()).Ann, "2:10.000");
+});
+
+test("a time penalty adds to the lap and keeps the raw time", async () => {
+  const res = await steward({ attemptId: bob.attemptId, penaltySec: 5, reason: "Collision" });
+  assert.equal(res.attempt.time, "2:13.000");
+  assert.equal(res.attempt.rawTime, "2:08.000");
+  assert.equal(res.attempt.penaltyMs, 5000);
+  assert.equal((await board()).Bob, "2:13.000");
+
+  // a new penalty replaces the old one rather than stacking
+  const again = await steward({ attemptId: bob.attemptId, penaltySec: 2.5, reason: "Collision" });
+  assert.equal(again.attempt.time, "2:10.500");
+  assert.equal((await board()).Bob, "2:10.500");
+});
+
+test("stewarding never brings back a row staff deleted", async () => {
+  const row = (await server.api("/api/scores")).body.find(s => s.first === "Bob" && s.track === TRACK);
+  await call(admin, "adminDeleteScore", { id: row.id });
+  const res = await steward({ attemptId: bob.attemptId });
+  assert.equal(res.ok, true);
+  assert.equal((await board()).Bob, undefined);
+});
+
+test("penalised laps drop out of the sector stats", async () => {
+  const cy = await lap("Cy", "2:00.000", { sectors: ["0:40.000", "0:40.000", "0:40.000"] });
+  const drivers = async () => (await server.api(`/api/sectors?track=${TRACK}`, { auth: false })).body.flatMap(g => g.drivers.map(d => d.first));
+  assert.ok((await drivers()).includes("Cy"));
+
+  await steward({ attemptId: cy.attemptId, penaltySec: 5, reason: "Cut" });
+  assert.ok(!(await drivers()).includes("Cy"));
+});
+
+test("stewarding is staff only and audited", async () => {
+  const anon = await server.socket({ login: false });
+  assert.equal((await call(anon, "adminSteward", { attemptId: ann1.attemptId, invalid: true, reason: "x" })).reason, "denied");
+
+  const { body } = await server.api("/api/audit?limit=50");
+  const actions = (body.entries || body.items).map(e => e.action);
+  assert.ok(actions.includes("lapInvalidate"));
+  assert.ok(actions.includes("lapPenalty"));
+});
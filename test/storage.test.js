@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+import { startServer, call } from "./helpers.js";
+
+const hasSqlite = (() => {
+  try { createRequire(import.meta.url)("better-sqlite3"); return true; } catch { return false; }
+})();
+
+async function queueSurvivesRestart(storage) {
+  const server = await startServer({ env: { STORAGE: storage } });
+  try {
+    let admin = await server.socket();
+    for (const first of ["Ann", "Ben", "Cat"]) await call(admin, "adminQueueAdd", { entry: { first, last: "Queue" } });
+    const waiting = async () => (await server.api("/api/queue")).body.waiting.map(w => w.first);
+
+    // rows already stored before the move are the ones that used to lose their place
+    await server.restart();
+    admin = await server.socket();
+    const cat = (await server.api("/api/queue")).body.waiting.find(w => w.first === "Cat");
+    assert.equal((await call(admin, "adminQueueMove", { id: cat.id, dir: -1 })).ok, true);
+    assert.deepEqual(await waiting(), ["Ann", "Cat", "Ben"]);
+
+    await server.restart();
+    assert.deepEqual(await waiting(), ["Ann", "Cat", "Ben"]);
+  } finally {
+    await server.stop();
+  }
+}
+
+test("queue order survives a restart with JSON storage", () => queueSurvivesRestart("json"));
+
+test("queue order survives a restart with SQLite storage", { skip: !hasSqlite && "better-sqlite3 is not installed" }, () => queueSurvivesRestart("sqlite"));
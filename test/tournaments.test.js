@@ -0,0 +1,75 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, call } from "./helpers.js";
+
+const GAME = "F1 25";
+const TRACK = "Suzuka";
+const RIG_KEY = "test-rig-key";
+
+let server, admin, cup;
+
+before(async () => {
+  server = await startServer();
+  admin = await server.socket();
+  await call(admin, "adminRigSettings", { patch: { enabled: true } });
+  await call(admin, "adminRigKeySet", { key: RIG_KEY });
+});
+after(() => server?.stop());
+
+const staffLap = (first, time) => call(admin, "newScore", { first, last: "Cup", time, game: GAME, track: TRACK, car: "", cohort: "Guest" }, "submitResult");
+const rigLap = (body) => server.api("/api/submit-lap", {
+  method: "POST",
+  auth: false,
+  headers: { "X-Rig-Key": RIG_KEY },
+  body: { rigId: "rig-test", last: "Cup", game: GAME, track: TRACK, ...body }
+});
+const flush = (laps) => server.api("/api/rig/flush", { method: "POST", body: laps });
+const stage = (id, name) => call(admin, "adminTournamentStage", { id, stage: name });
+const current = async () => (await server.api(`/api/tournaments/${cup.id}`)).body.tournament;
+const attempt = async (first) => (await server.api(`/api/attempts?q=${first}`)).body.items[0];
+
+test("rig laps are timestamped on receipt; staff flushes keep their own time", async () => {
+  const sent = Date.now();
+  await rigLap({ first: "Early", time: "1:35.000", createdAt: "2020-01-01T00:00:00.000Z" });
+  assert.ok(Math.abs(Date.parse((await attempt("Early")).createdAt) - sent) < 5000);
+
+  await flush([{ first: "Offline", last: "Cup", time: "1:36.000", game: GAME, track: TRACK, createdAt: "2021-06-01T12:00:00.000Z" }]);
+  assert.equal((await attempt("Offline")).createdAt, "2021-06-01T12:00:00.000Z");
+});
+
+test("qualifying seeds from laps set inside its window", async () => {
+  const saved = await call(admin, "adminTournamentSave", { tournament: { name: "Night Cup", game: GAME, track: TRACK, format: "knockout", qualifiers: 4 } });
+  assert.equal(saved.ok, true);
+  cup = saved.tournament;
+  assert.equal((await stage(cup.id, "closeQualifying")).ok, false);
+  assert.equal((await stage(cup.id, "openQualifying")).ok, true);
+
+  for (const [first, time] of [["Ann", "1:31.000"], ["Ben", "1:32.000"], ["Cat", "1:33.000"], ["Dan", "1:34.000"]]) await staffLap(first, time);
+  // a rig can't date a lap back out of (or into) the window
+  await rigLap({ first: "Eve", time: "1:30.500", createdAt: "2020-01-01T00:00:00.000Z" });
+
+  const standings = (await current()).standings.map(s => s.first);
+  assert.deepEqual(standings, ["Eve", "Ann", "Ben", "Cat", "Dan"]);
+  assert.ok(!standings.includes("Early"));
+});
+
+test("closing qualifying builds the bracket from the top seeds", async () => {
+  const res = await stage(cup.id, "closeQualifying");
+  assert.equal(res.ok, true);
+  assert.equal(res.tournament.stage, "heats");
+  assert.deepEqual((await current()).seeds.map(s => s.first), ["Eve", "Ann", "Ben", "Cat"]);
+});
+
+test("a live heat takes each driver's fastest lap since it started", async () => {
+  const t = await current();
+  const heat = t.rounds[0].heats[0];
+  assert.equal((await call(admin, "adminTournamentHeat", { id: cup.id, heatId: heat.id, heatAction: "start" })).ok, true);
+
+  const driver = heat.drivers[0];
+  await rigLap({ first: driver.first, time: "1:29.000", createdAt: "2020-01-01T00:00:00.000Z" });
+  await rigLap({ first: driver.first, time: "1:29.500" });
+
+  const result = (await current()).rounds[0].heats[0].drivers.find(d => d.first === driver.first);
+  assert.equal(result.time, "1:29.000");
+  assert.equal(result.source, "lap");
+});